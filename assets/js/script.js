@@ -6,10 +6,32 @@
  * @dependencies: ["index.html", "assets/css/styles.css"]
  * 
  * Features:
- * - Lazy loading for images with Intersection Observer
+ * - Lazy loading for images with Intersection Observer and blur-up placeholders
  * - Smooth scrolling navigation
  * - Mobile menu toggle
- * - Form validation with accessibility
+ * - Declarative, schema-driven form validation with accessibility
+ * - Form submission with retry, offline queue and server error mapping
+ * - Newsletter double opt-in with preferences and one-click unsubscribe
+ * - Fitting appointment booking within store hours, with .ics download
+ * - Live open/closed status with holiday and special hours
+ * - Scroll-spy highlighting of the current section in navigation
+ * - Plugin registry with dependency ordering and a shared event bus
+ * - Runtime CONFIG/SELECTORS overrides from the page
+ * - Consent-aware, batched analytics events
+ * - Cookie consent banner and preferences for non-essential features
+ * - Core Web Vitals (LCP, CLS, INP, TTFB) collection and reporting
+ * - Client error reporting with deduplication and rate limiting
+ * - Leveled, namespaced logging with an in-memory buffer
+ * - Product catalog rendered from JSON (cards, microdata, JSON-LD)
+ * - Hash-routed product detail dialog with deep links
+ * - Shopping cart drawer persisted in localStorage
+ * - Wishlist with heart toggles and shareable list links
+ * - Catalog filter/sort toolbar synced to the URL query string
+ * - Fuzzy product search with an ARIA combobox suggestion list
+ * - Customer reviews carousel with star ratings, a review form and rating JSON-LD
+ * - English, Spanish and French translations with a language switcher
+ * - Light/dark/system theme toggle, remembered across visits
+ * - Installable PWA: service worker offline support and an update prompt
  * - Performance optimizations
  * - Error handling and logging
  */
@@ -21,19 +43,40 @@
   // CONFIGURATION & CONSTANTS
   // ============================================================================
 
-  const CONFIG = Object.freeze({
+  /*
+   * Defaults below can be overridden without forking this file, either with
+   * window.ShoeStoreConfig (set before this script runs) or with
+   *   <script type="application/json" id="shoestore-config">{ ... }</script>
+   * Both are deep-merged over the defaults (window.ShoeStoreConfig wins), e.g.
+   *   { "MOBILE_BREAKPOINT": 900, "LAZY_LOAD": { "rootMargin": "200px" },
+   *     "SELECTORS": { "productsGrid": ".catalog-grid" } }
+   * Unknown keys and values of the wrong type are ignored with a warning.
+   * Patterns may be given as strings in JSON.
+   */
+  // Config maps that may gain new entries (e.g. extra newsletter preferences)
+  const OPEN_CONFIG_MAPS = new Set(['CONFIG.NEWSLETTER.preferences', 'CONFIG.LOGGING.aliases', 'CONFIG.I18N.locales']);
+
+  const RUNTIME_OVERRIDES = readRuntimeOverrides();
+
+  const CONFIG = applyOverrides('CONFIG', {
     LAZY_LOAD: {
       rootMargin: '50px',
       threshold: 0.01,
       loadingClass: 'lazy-loading',
       loadedClass: 'lazy-loaded',
-      errorClass: 'lazy-error'
+      errorClass: 'lazy-error',
+      placeholderClass: 'lazy-placeholder'
     },
     SMOOTH_SCROLL: {
       behavior: 'smooth',
       block: 'start',
       inline: 'nearest'
     },
+    SCROLL_SPY: {
+      // Only the section crossing the middle of the viewport counts as current
+      rootMargin: '-50% 0px -50% 0px',
+      activeClass: 'is-active'
+    },
     MOBILE_BREAKPOINT: 768,
     DEBOUNCE_DELAY: 150,
     FORM_VALIDATION: {
@@ -43,42 +86,478 @@
       minSubjectLength: 3,
       minMessageLength: 10
     },
+    FORM_SUBMISSION: {
+      timeout: 10000,
+      maxRetries: 3,
+      retryBaseDelay: 1000,
+      loadingText: 'Sending…',
+      loadingClass: 'is-loading',
+      queueDbName: 'shoestore',
+      queueStoreName: 'form-submissions'
+    },
+    NEWSLETTER: {
+      storageKey: 'shoestore:newsletter',
+      preferences: {
+        newArrivals: 'New arrivals',
+        sales: 'Sales & promotions',
+        men: 'Men\'s styles',
+        women: 'Women\'s styles'
+      }
+    },
+    STORE: {
+      timeZone: 'America/Los_Angeles',
+      hoursUrl: 'assets/data/store-hours.json',
+      statusRefreshInterval: 60000,
+      statusDaysAhead: 7
+    },
+    APPOINTMENTS: {
+      slotMinutes: 30,
+      daysAhead: 14,
+      minLeadMinutes: 30
+    },
+    LOGGING: {
+      // debug | info | warn | error | silent
+      level: 'warn',
+      // ?debug=lazyloader,forms (or ?debug for everything) logs those namespaces at debug level
+      debugParam: 'debug',
+      bufferSize: 200,
+      aliases: {
+        forms: ['FormValidator', 'FormSubmission', 'Newsletter', 'AppointmentBooker']
+      }
+    },
     PERFORMANCE: {
       enableMetrics: true,
-      logErrors: true
+      logErrors: true,
+      // Web Vitals are beaconed here when set (and analytics consent is given)
+      reportEndpoint: '',
+      release: '1.0.0',
+      maxShiftSources: 5
+    },
+    ERROR_REPORTING: {
+      // Errors are batched and beaconed here when set
+      endpoint: '',
+      batchSize: 10,
+      flushDelay: 2000,
+      // Identical errors within this window are counted, not re-sent
+      dedupeWindow: 60000,
+      maxReportsPerMinute: 20
+    },
+    CATALOG: {
+      url: 'assets/data/products.json',
+      // Written by the image build; missing (and ignored) in development
+      imagesUrl: 'assets/data/images.json',
+      siteUrl: 'https://shoestore.example.com',
+      jsonLdId: 'product-list-jsonld'
+    },
+    PRODUCT_DETAIL: {
+      hashPattern: /^#(product-[\w-]+)$/,
+      openClass: 'product-detail-open'
+    },
+    CART: {
+      storageKey: 'shoestore:cart',
+      maxQuantity: 10,
+      currency: 'USD',
+      openClass: 'cart-drawer-open'
+    },
+    WISHLIST: {
+      storageKey: 'shoestore:wishlist',
+      // ?wishlist=product-1,product-3 highlights a shared list
+      param: 'wishlist',
+      sharedClass: 'is-shared-favorite',
+      openClass: 'wishlist-drawer-open'
+    },
+    CATALOG_FILTER: {
+      params: ['category', 'minPrice', 'maxPrice', 'size', 'color', 'sort'],
+      sortOptions: {
+        featured: 'Featured',
+        'price-asc': 'Price: Low to High',
+        'price-desc': 'Price: High to Low',
+        'name-asc': 'Name: A to Z',
+        'name-desc': 'Name: Z to A'
+      }
+    },
+    ANALYTICS: {
+      endpoint: '/analytics',
+      // 'beacon' in production, 'console' for local testing
+      transport: 'beacon',
+      batchSize: 10,
+      flushInterval: 5000,
+      requireConsent: true,
+      sectionViewThreshold: 0.5
+    },
+    CONSENT: {
+      cookieName: 'shoestore_consent',
+      // Bump when categories change to ask everyone again
+      version: 1,
+      maxAgeDays: 180,
+      categories: {
+        essential: {
+          label: 'Essential',
+          description: 'Needed for the cart, forms and your saved preferences. Always on.'
+        },
+        analytics: {
+          label: 'Analytics',
+          description: 'Anonymous usage statistics that help us improve the site.'
+        },
+        marketing: {
+          label: 'Marketing & third-party content',
+          description: 'Content from other services, such as Google Fonts, that may set their own cookies.'
+        }
+      }
+    },
+    THEME: {
+      // Also read by the inline script in <head> that applies it before first paint
+      storageKey: 'shoestore:theme',
+      // Order the header toggle cycles through
+      options: ['light', 'dark', 'system']
+    },
+    OFFLINE: {
+      serviceWorkerUrl: 'sw.js',
+      // Cache-first assets get in the way of live reload; enable to test offline locally
+      enableOnLocalhost: false,
+      updateCheckInterval: 60 * 60 * 1000
+    },
+    I18N: {
+      defaultLocale: 'en',
+      storageKey: 'shoestore:locale',
+      // ?lang=es links to a language and remembers it
+      param: 'lang',
+      locales: {
+        en: { label: 'English', tag: 'en-US' },
+        es: { label: 'Español', tag: 'es-US' },
+        fr: { label: 'Français', tag: 'fr-FR' }
+      }
+    },
+    REVIEWS: {
+      url: 'assets/data/reviews.json',
+      perPage: 3,
+      // Most recent reviews written into each JSON-LD block
+      jsonLdLimit: 10,
+      minBodyLength: 20,
+      maxBodyLength: 2000
+    },
+    SEARCH: {
+      minQueryLength: 2,
+      maxSuggestions: 6,
+      fieldWeights: {
+        name: 3,
+        tags: 2,
+        description: 1
+      }
     }
   });
 
-  const SELECTORS = Object.freeze({
+  const SELECTORS = applyOverrides('SELECTORS', {
     lazyImages: 'img[loading="lazy"]',
     navLinks: 'nav a[href^="#"]',
     mobileMenuToggle: '.mobile-menu-toggle',
     mobileMenu: 'nav',
     contactForm: '.contact-form',
     newsletterForm: '.newsletter-form',
-    skipLink: '.skip-link'
+    validatedForms: 'form[data-validate]',
+    fittingForm: '.fitting-form',
+    localBusinessJsonLd: 'script[type="application/ld+json"]',
+    storeHours: '.store-hours',
+    skipLink: '.skip-link',
+    spyLinks: 'header nav a, .footer-section a',
+    spySections: 'main section[id]',
+    productsGrid: '.products-grid',
+    productDetailLinks: 'a[href^="#product-"]',
+    headerContainer: '.header-container',
+    addToCartButtons: '[data-add-to-cart]',
+    wishlistButtons: '[data-wishlist-toggle]',
+    searchForm: '.nav-search',
+    reviews: '.reviews',
+    reviewForm: '.review-form',
+    consentOpen: '[data-consent-open]',
+    focusable: 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'
   });
 
+  // ============================================================================
+  // RUNTIME CONFIGURATION
+  // ============================================================================
+
+  /*
+   * These run while CONFIG is still being built, so they report through
+   * console directly rather than logError().
+   */
+
+  /**
+   * Collect overrides from the JSON config block and window.ShoeStoreConfig
+   * @returns {Object} Combined overrides
+   */
+  function readRuntimeOverrides() {
+    let fromPage = {};
+    const block = document.getElementById('shoestore-config');
+
+    if (block) {
+      try {
+        fromPage = JSON.parse(block.textContent || '{}');
+      } catch (error) {
+        console.error('[Config] Ignoring #shoestore-config: invalid JSON', error);
+      }
+    }
+
+    const fromWindow = window.ShoeStoreConfig || {};
+
+    return [fromPage, fromWindow].reduce((combined, source) => {
+      if (!isPlainObject(source)) {
+        console.warn('[Config] Overrides must be an object; ignoring', source);
+        return combined;
+      }
+      return mergeRaw(combined, source);
+    }, {});
+  }
+
+  /**
+   * @param {*} value - Value to test
+   * @returns {boolean} Whether value is a plain object
+   */
+  function isPlainObject(value) {
+    return Object.prototype.toString.call(value) === '[object Object]';
+  }
+
+  /**
+   * Merge two override objects without any schema checks
+   * @param {Object} target - Base overrides
+   * @param {Object} source - Overrides taking precedence
+   * @returns {Object} Merged overrides
+   */
+  function mergeRaw(target, source) {
+    const result = { ...target };
+
+    Object.keys(source).forEach(key => {
+      result[key] = isPlainObject(result[key]) && isPlainObject(source[key])
+        ? mergeRaw(result[key], source[key])
+        : source[key];
+    });
+
+    return result;
+  }
+
+  /**
+   * Check an override value against its default
+   * @param {*} defaultValue - Default value
+   * @param {*} value - Override value
+   * @param {string} path - Dotted key path, for warnings
+   * @returns {{ok: boolean, value?: *}} Accepted (possibly coerced) value
+   */
+  function checkOverride(defaultValue, value, path) {
+    if (defaultValue instanceof RegExp) {
+      if (value instanceof RegExp) return { ok: true, value };
+
+      if (typeof value === 'string') {
+        try {
+          return { ok: true, value: new RegExp(value) };
+        } catch (error) {
+          console.warn(`[Config] ${path}: invalid pattern "${value}"; using default`);
+          return { ok: false };
+        }
+      }
+    } else if (Array.isArray(defaultValue)) {
+      if (Array.isArray(value)) return { ok: true, value: value.slice() };
+    } else if (typeof defaultValue === 'number') {
+      if (typeof value === 'number' && Number.isFinite(value)) return { ok: true, value };
+    } else if (typeof value === typeof defaultValue) {
+      return { ok: true, value };
+    }
+
+    const expected = defaultValue instanceof RegExp ? 'RegExp or string'
+      : Array.isArray(defaultValue) ? 'array' : typeof defaultValue;
+    console.warn(`[Config] ${path}: expected ${expected}, got ${Array.isArray(value) ? 'array' : typeof value}; using default`);
+    return { ok: false };
+  }
+
+  /**
+   * Deep-merge overrides over defaults, keeping only known keys of the right type
+   * @param {Object} defaults - Default values
+   * @param {Object} overrides - Override values
+   * @param {string} path - Dotted key path of this level
+   * @returns {Object} Merged values
+   */
+  function mergeConfig(defaults, overrides, path) {
+    const result = { ...defaults };
+
+    Object.keys(overrides).forEach(key => {
+      const keyPath = `${path}.${key}`;
+      const value = overrides[key];
+
+      if (!(key in defaults)) {
+        const sample = Object.values(defaults)[0];
+
+        if (OPEN_CONFIG_MAPS.has(path) && typeof value === typeof sample) {
+          result[key] = value;
+        } else {
+          console.warn(`[Config] Unknown key ${keyPath}; ignoring`);
+        }
+        return;
+      }
+
+      if (isPlainObject(defaults[key])) {
+        if (isPlainObject(value)) {
+          result[key] = mergeConfig(defaults[key], value, keyPath);
+        } else {
+          console.warn(`[Config] ${keyPath}: expected object, got ${typeof value}; using default`);
+        }
+        return;
+      }
+
+      const checked = checkOverride(defaults[key], value, keyPath);
+      if (checked.ok) {
+        result[key] = checked.value;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Recursively freeze an object
+   * @param {Object} object - Object to freeze
+   * @returns {Object} The frozen object
+   */
+  function deepFreeze(object) {
+    Object.values(object).forEach(value => {
+      if (value && typeof value === 'object' && !(value instanceof RegExp) && !Object.isFrozen(value)) {
+        deepFreeze(value);
+      }
+    });
+
+    return Object.freeze(object);
+  }
+
+  /**
+   * Build a frozen constants object from defaults and runtime overrides
+   * @param {string} scope - 'CONFIG' or 'SELECTORS'
+   * @param {Object} defaults - Default values
+   * @returns {Object} Frozen, merged constants
+   */
+  function applyOverrides(scope, defaults) {
+    const { SELECTORS: selectorOverrides, ...configOverrides } = RUNTIME_OVERRIDES;
+    const overrides = scope === 'SELECTORS' ? selectorOverrides : configOverrides;
+
+    if (overrides === undefined) {
+      return deepFreeze(defaults);
+    }
+
+    if (!isPlainObject(overrides)) {
+      console.warn(`[Config] ${scope} overrides must be an object; ignoring`);
+      return deepFreeze(defaults);
+    }
+
+    return deepFreeze(mergeConfig(defaults, overrides, scope));
+  }
+
   // ============================================================================
   // UTILITY FUNCTIONS
   // ============================================================================
 
+  /*
+   * Logging: logger('Cart').info('…') prints "[Cart] …" when the namespace's
+   * level allows it. Every entry, printed or not, goes into a ring buffer that
+   * ShoeStoreApp.logs() returns for bug reports.
+   */
+  const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+  const LOG_METHODS = { debug: 'debug', info: 'log', warn: 'warn', error: 'error' };
+  const logBuffer = [];
+  const loggers = new Map();
+  let debugNamespaces = null;
+
+  /**
+   * Namespaces enabled for debug output through the URL
+   * @returns {{all: boolean, names: Set<string>}}
+   */
+  function getDebugNamespaces() {
+    if (debugNamespaces) return debugNamespaces;
+
+    const params = new URLSearchParams(window.location.search);
+    const value = params.get(CONFIG.LOGGING.debugParam);
+    const names = new Set();
+
+    debugNamespaces = { all: value === '' || value === '*' || value === '1', names };
+
+    (value || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean).forEach(name => {
+      names.add(name);
+      (CONFIG.LOGGING.aliases[name] || []).forEach(alias => names.add(alias.toLowerCase()));
+    });
+
+    return debugNamespaces;
+  }
+
+  /**
+   * Make a log argument safe to keep in the buffer
+   * @param {*} value - Logged value
+   * @returns {string} Text form
+   */
+  function formatLogValue(value) {
+    if (typeof value === 'string') return value;
+    if (value instanceof Error) return `${value.name}: ${value.message}`;
+
+    try {
+      return JSON.stringify(value);
+    } catch (error) {
+      return String(value);
+    }
+  }
+
+  /**
+   * Get the logger for a namespace
+   * @param {string} namespace - Module name, e.g. 'LazyLoader'
+   * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+   */
+  function logger(namespace) {
+    if (loggers.has(namespace)) return loggers.get(namespace);
+
+    const write = level => (...args) => {
+      logBuffer.push({
+        time: new Date().toISOString(),
+        level,
+        namespace,
+        message: args.map(formatLogValue).join(' ')
+      });
+      if (logBuffer.length > CONFIG.LOGGING.bufferSize) {
+        logBuffer.splice(0, logBuffer.length - CONFIG.LOGGING.bufferSize);
+      }
+
+      const debug = getDebugNamespaces();
+      const threshold = debug.all || debug.names.has(namespace.toLowerCase())
+        ? LOG_LEVELS.debug
+        : LOG_LEVELS[CONFIG.LOGGING.level] || LOG_LEVELS.warn;
+
+      if (LOG_LEVELS[level] >= threshold) {
+        console[LOG_METHODS[level]](`[${namespace}]`, ...args);
+      }
+    };
+
+    const instance = Object.freeze({
+      debug: write('debug'),
+      info: write('info'),
+      warn: write('warn'),
+      error: write('error')
+    });
+
+    loggers.set(namespace, instance);
+    return instance;
+  }
+
   /**
    * Debounce function to limit execution rate
    * @param {Function} func - Function to debounce
    * @param {number} wait - Wait time in milliseconds
-   * @returns {Function} Debounced function
+   * @returns {Function} Debounced function; call .cancel() to drop a pending run
    */
   function debounce(func, wait) {
     let timeout;
-    return function executedFunction(...args) {
+    function executedFunction(...args) {
       const later = () => {
         clearTimeout(timeout);
         func.apply(this, args);
       };
       clearTimeout(timeout);
       timeout = setTimeout(later, wait);
-    };
+    }
+    executedFunction.cancel = () => clearTimeout(timeout);
+    return executedFunction;
   }
 
   /**
@@ -90,7 +569,7 @@
     if (!CONFIG.PERFORMANCE.enableMetrics) return;
     
     const duration = performance.now() - startTime;
-    console.log(`[Performance] ${label}: ${duration.toFixed(2)}ms`);
+    logger('Performance').debug(`${label}: ${duration.toFixed(2)}ms`);
   }
 
   /**
@@ -99,9 +578,11 @@
    * @param {Error} error - Error object
    */
   function logError(context, error) {
+    errorReporter.capture(error, { module: context });
+
     if (!CONFIG.PERFORMANCE.logErrors) return;
     
-    console.error(`[Error] ${context}:`, {
+    logger('Error').error(`${context}:`, {
       message: error.message,
       stack: error.stack,
       timestamp: new Date().toISOString()
@@ -109,129 +590,1752 @@
   }
 
   /**
-   * Sanitize user input to prevent XSS
-   * @param {string} input - User input
-   * @returns {string} Sanitized input
+   * Escape a value for safe interpolation into HTML text or attributes
+   * @param {*} value - Value to escape
+   * @returns {string} Escaped string
    */
-  function sanitizeInput(input) {
-    const div = document.createElement('div');
-    div.textContent = input;
-    return div.innerHTML;
+  function escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
   }
 
-  // ============================================================================
-  // LAZY LOADING IMPLEMENTATION
-  // ============================================================================
+  /**
+   * Short CSS selector describing an element, for diagnostics
+   * @param {Element} element - DOM element
+   * @returns {string} Selector such as "main > section#about > img.about-image"
+   */
+  function getElementSelector(element) {
+    const parts = [];
+    let node = element;
+
+    while (node && node.nodeType === Node.ELEMENT_NODE && parts.length < 4) {
+      if (node.id) {
+        parts.unshift(`${node.localName}#${node.id}`);
+        break;
+      }
 
-  class LazyLoader {
-    constructor() {
-      this.observer = null;
-      this.images = [];
-      this.loadedCount = 0;
-      this.errorCount = 0;
-    }
+      const classes = Array.from(node.classList).slice(0, 2).map(name => `.${name}`).join('');
+      parts.unshift(`${node.localName}${classes}`);
 
-    /**
-     * Initialize lazy loading with Intersection Observer
-     */
-    init() {
-      const startTime = performance.now();
+      if (node === document.body) break;
+      node = node.parentElement;
+    }
 
-      try {
-        // Check for Intersection Observer support
-        if (!('IntersectionObserver' in window)) {
-          console.warn('[LazyLoader] IntersectionObserver not supported, loading all images');
-          this.loadAllImages();
-          return;
-        }
+    return parts.join(' > ');
+  }
 
-        this.images = Array.from(document.querySelectorAll(SELECTORS.lazyImages));
-        
-        if (this.images.length === 0) {
-          console.log('[LazyLoader] No lazy-loadable images found');
-          return;
-        }
+  /**
+   * Keep Tab / Shift+Tab focus cycling inside a container
+   * @param {HTMLElement} container - Dialog or panel element
+   * @param {KeyboardEvent} event - Keydown event
+   */
+  function trapFocus(container, event) {
+    if (event.key !== 'Tab') return;
 
-        this.observer = new IntersectionObserver(
-          this.handleIntersection.bind(this),
-          {
-            rootMargin: CONFIG.LAZY_LOAD.rootMargin,
-            threshold: CONFIG.LAZY_LOAD.threshold
-          }
-        );
+    const focusable = Array.from(container.querySelectorAll(SELECTORS.focusable));
+    if (focusable.length === 0) return;
 
-        this.images.forEach(img => {
-          img.classList.add(CONFIG.LAZY_LOAD.loadingClass);
-          this.observer.observe(img);
-        });
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
 
-        logPerformance('LazyLoader initialized', startTime);
-        console.log(`[LazyLoader] Observing ${this.images.length} images`);
-      } catch (error) {
-        logError('LazyLoader initialization', error);
-        this.loadAllImages();
-      }
+    if (event.shiftKey && (document.activeElement === first || document.activeElement === container)) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
     }
+  }
 
-    /**
-     * Handle intersection observer callback
-     * @param {IntersectionObserverEntry[]} entries - Observed entries
-     */
-    handleIntersection(entries) {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          this.loadImage(entry.target);
-          this.observer.unobserve(entry.target);
-        }
-      });
+  /**
+   * Format an amount in cents as a price in the cart currency
+   * @param {number} cents - Amount in cents
+   * @returns {string} Formatted price, e.g. "$129.99"
+   */
+  function formatPrice(cents) {
+    return formatCurrency(cents / 100, CONFIG.CART.currency);
+  }
+
+  /**
+   * Resolve after a delay
+   * @param {number} ms - Delay in milliseconds
+   * @returns {Promise<void>}
+   */
+  function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Edit the query string in place, keeping the path, hash and history state
+   * @param {Function} update - Receives the current URLSearchParams to modify
+   */
+  function replaceQueryParams(update) {
+    if (!history.replaceState) return;
+
+    const params = new URLSearchParams(window.location.search);
+    update(params);
+
+    const query = params.toString();
+    history.replaceState(history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  }
+
+  // ============================================================================
+  // INTERNATIONALIZATION
+  // ============================================================================
+
+  /*
+   * t('cart.added', { name }) looks a message up in the current locale's
+   * catalog, then in English. Messages use {placeholders}; plural messages are
+   * { one, other } objects picked by the count param. Labels kept in CONFIG
+   * (sort options, newsletter preferences, consent categories, the loading
+   * text) are English there and passed to t() as the fallback, so only the
+   * other catalogs list them.
+   *
+   * The page is written in English. For other locales, elements with
+   * data-i18n="key" get their text replaced and data-i18n-<attribute>="key"
+   * sets that attribute, e.g. data-i18n-placeholder="page.form.namePlaceholder".
+   */
+  const MESSAGES = {
+    en: {
+      'language.label': 'Language',
+      'menu.toggle': 'Toggle navigation menu',
+      'theme.toggle': 'Theme: {theme}',
+      'theme.light': 'Light',
+      'theme.dark': 'Dark',
+      'theme.system': 'System',
+      'form.required': '{label} is required',
+      'form.invalidEmail': 'Please enter a valid email address',
+      'form.invalidPhone': 'Please enter a valid phone number',
+      'form.minLength': '{label} must be at least {min} characters',
+      'form.maxLength': '{label} must be at most {max} characters',
+      'form.invalid': 'Please enter a valid {field}',
+      'form.mismatch': '{label} must match {other}',
+      'form.check': 'Please check {field}',
+      'form.error': 'An error occurred. Please try again.',
+      'form.offline': 'You appear to be offline. Please try again once you are connected.',
+      'form.queued': 'You\'re offline. We\'ll send this automatically when your connection returns.',
+      'form.success': 'Thank you! Your message has been sent successfully.',
+      'catalog.unavailable': 'Our collection is temporarily unavailable. Please try again shortly.',
+      'product.price': 'Price: {price}',
+      'product.viewDetails': 'View Details',
+      'product.viewDetailsFor': 'View details for {name}',
+      'product.addToCart': 'Add to Cart',
+      'product.addToCartFor': 'Add {name} to cart',
+      'detail.close': 'Close product details',
+      'detail.outOfStock': '(out of stock)',
+      'detail.sizes': 'Sizes (US)',
+      'detail.colors': 'Colors',
+      'detail.materials': 'Materials',
+      'cart.title': 'Your Cart',
+      'cart.close': 'Close cart',
+      'cart.toggle': { one: 'Open cart, {count} item', other: 'Open cart, {count} items' },
+      'cart.subtotal': 'Subtotal',
+      'cart.note': 'Taxes and shipping calculated at checkout.',
+      'cart.empty': 'Your cart is empty.',
+      'cart.added': 'Added {name} to cart',
+      'cart.outOfStock': '{name} is out of stock',
+      'cart.size': 'Size',
+      'cart.quantity': 'Qty',
+      'cart.remove': 'Remove',
+      'cart.removeItem': 'Remove {name} from cart',
+      'wishlist.title': 'Your Wishlist',
+      'wishlist.close': 'Close wishlist',
+      'wishlist.toggle': { one: 'Open wishlist, {count} item', other: 'Open wishlist, {count} items' },
+      'wishlist.empty': 'No favorites yet. Tap the heart on a product to save it here.',
+      'wishlist.save': 'Save {name} to wishlist',
+      'wishlist.added': 'Added {name} to wishlist',
+      'wishlist.removed': 'Removed {name} from wishlist',
+      'wishlist.removeItem': 'Remove {name} from wishlist',
+      'wishlist.share': 'Share my wishlist',
+      'wishlist.shareNote': 'Anyone with the link sees your favorites highlighted.',
+      'wishlist.shareTitle': 'My ShoeStore wishlist',
+      'wishlist.linkCopied': 'Link copied to clipboard',
+      'wishlist.shared': { one: 'Someone shared {count} favorite with you. It\'s highlighted below.', other: 'Someone shared {count} favorites with you. They\'re highlighted below.' },
+      'wishlist.saveShared': 'Save to my wishlist',
+      'wishlist.dismissShared': 'Dismiss',
+      'wishlist.savedShared': { one: 'Saved {count} item to your wishlist', other: 'Saved {count} items to your wishlist' },
+      'reviews.label': 'Customer reviews',
+      'reviews.summary': { one: '{rating} out of 5, based on {count} review', other: '{rating} out of 5, based on {count} reviews' },
+      'reviews.stars': 'Rated {rating} out of 5',
+      'reviews.count': { one: '{count} review', other: '{count} reviews' },
+      'reviews.slide': 'Review {index} of {total}',
+      'reviews.previous': 'Previous reviews',
+      'reviews.next': 'Next reviews',
+      'reviews.page': 'Page {page} of {pages}',
+      'reviews.empty': 'No reviews yet. Be the first to share your experience.',
+      'reviews.unavailable': 'Reviews are unavailable right now.',
+      'reviews.submitted': 'Thanks for your review! It will appear here once approved.',
+      'filter.label': 'Filter and sort products',
+      'filter.category': 'Category',
+      'filter.all': 'All',
+      'filter.price': 'Price ({currency})',
+      'filter.minPrice': 'Minimum price',
+      'filter.maxPrice': 'Maximum price',
+      'filter.min': 'Min',
+      'filter.max': 'Max',
+      'filter.size': 'Size (US)',
+      'filter.color': 'Color',
+      'filter.any': 'Any',
+      'filter.sort': 'Sort by',
+      'filter.clear': 'Clear filters',
+      'filter.empty': 'No products match your filters.',
+      'filter.results': { one: 'Showing {visible} of {count} product', other: 'Showing {visible} of {count} products' },
+      'search.suggestions': {
+        one: '{count} suggestion available. Use up and down arrows to review.',
+        other: '{count} suggestions available. Use up and down arrows to review.'
+      },
+      'search.noMatches': 'No matching products',
+      'search.notFound': 'No products found for "{query}"',
+      'search.unavailable': 'Search is unavailable right now. Please try again later.',
+      'newsletter.checkInbox': 'Check your inbox.',
+      'newsletter.sent': 'We sent a confirmation link to {email}. Click it to finish subscribing.',
+      'newsletter.restart': 'Use a different email',
+      'newsletter.confirmed': 'Your subscription is confirmed. Choose what you\'d like to hear about.',
+      'newsletter.confirmFailed': 'This confirmation link is invalid or has expired. Please subscribe again.',
+      'newsletter.unsubscribed': 'You have been unsubscribed. We\'re sorry to see you go.',
+      'newsletter.unsubscribeFailed': 'We couldn\'t process this unsubscribe link. Please try again or contact us.',
+      'newsletter.preferences': 'Newsletter preferences',
+      'newsletter.emailMeAbout': 'Email me about ({email})',
+      'newsletter.yourSubscription': 'your subscription',
+      'newsletter.save': 'Save preferences',
+      'newsletter.unsubscribe': 'Unsubscribe',
+      'newsletter.saved': 'Preferences saved.',
+      'newsletter.saveFailed': 'We couldn\'t save your preferences. Please try again.',
+      'booking.unavailable': 'This time is no longer available. Please pick another.',
+      'booking.confirmed': 'Thanks, {name}! Your fitting is booked for {when}.',
+      'booking.addToCalendar': 'Add to calendar (.ics)',
+      'booking.summary': 'Shoe fitting at {store}',
+      'booking.for': 'Fitting for {name}',
+      'booking.phone': 'Phone: {phone}',
+      'booking.email': 'Email: {email}',
+      'booking.notes': 'Notes: {notes}',
+      'status.open': 'Open now — closes at {time}{note}',
+      'status.closed': 'Closed{note}',
+      'status.closedUntil': 'Closed{note} — opens {day} at {time}',
+      'status.today': 'today',
+      'status.tomorrow': 'tomorrow',
+      'status.onDay': 'on {weekday}',
+      'consent.label': 'Cookie consent',
+      'consent.message': 'We use essential cookies to run this site. With your permission we would also like to use analytics and third-party content.',
+      'consent.accept': 'Accept all',
+      'consent.reject': 'Essential only',
+      'consent.manage': 'Manage preferences',
+      'consent.title': 'Cookie preferences',
+      'consent.categories': 'Cookie categories',
+      'consent.save': 'Save preferences',
+      'consent.cancel': 'Cancel',
+      'update.available': 'A new version of ShoeStore is available.',
+      'update.reload': 'Reload',
+      'update.dismiss': 'Dismiss'
+    },
+
+    es: {
+      'language.label': 'Idioma',
+      'menu.toggle': 'Abrir o cerrar el menú de navegación',
+      'theme.toggle': 'Tema: {theme}',
+      'theme.light': 'Claro',
+      'theme.dark': 'Oscuro',
+      'theme.system': 'Sistema',
+      'form.required': 'El campo {label} es obligatorio',
+      'form.invalidEmail': 'Introduce un correo electrónico válido',
+      'form.invalidPhone': 'Introduce un número de teléfono válido',
+      'form.minLength': 'El campo {label} debe tener al menos {min} caracteres',
+      'form.maxLength': 'El campo {label} debe tener como máximo {max} caracteres',
+      'form.invalid': 'Introduce un valor válido para {field}',
+      'form.mismatch': 'El campo {label} debe coincidir con {other}',
+      'form.check': 'Revisa el campo {field}',
+      'form.sending': 'Enviando…',
+      'form.error': 'Se produjo un error. Inténtalo de nuevo.',
+      'form.offline': 'Parece que no tienes conexión. Inténtalo de nuevo cuando vuelvas a estar en línea.',
+      'form.queued': 'No tienes conexión. Lo enviaremos automáticamente cuando vuelva la conexión.',
+      'form.success': '¡Gracias! Tu mensaje se ha enviado correctamente.',
+      'catalog.unavailable': 'Nuestra colección no está disponible en este momento. Vuelve a intentarlo en unos minutos.',
+      'product.price': 'Precio: {price}',
+      'product.viewDetails': 'Ver detalles',
+      'product.viewDetailsFor': 'Ver detalles de {name}',
+      'product.addToCart': 'Añadir al carrito',
+      'product.addToCartFor': 'Añadir {name} al carrito',
+      'detail.close': 'Cerrar detalles del producto',
+      'detail.outOfStock': '(agotado)',
+      'detail.sizes': 'Tallas (EE. UU.)',
+      'detail.colors': 'Colores',
+      'detail.materials': 'Materiales',
+      'cart.title': 'Tu carrito',
+      'cart.close': 'Cerrar carrito',
+      'cart.toggle': { one: 'Abrir carrito, {count} artículo', other: 'Abrir carrito, {count} artículos' },
+      'cart.subtotal': 'Subtotal',
+      'cart.note': 'Los impuestos y el envío se calculan al finalizar la compra.',
+      'cart.empty': 'Tu carrito está vacío.',
+      'cart.added': '{name} añadido al carrito',
+      'cart.outOfStock': '{name} está agotado',
+      'cart.size': 'Talla',
+      'cart.quantity': 'Cant.',
+      'cart.remove': 'Eliminar',
+      'cart.removeItem': 'Eliminar {name} del carrito',
+      'wishlist.title': 'Tu lista de deseos',
+      'wishlist.close': 'Cerrar lista de deseos',
+      'wishlist.toggle': { one: 'Abrir lista de deseos, {count} artículo', other: 'Abrir lista de deseos, {count} artículos' },
+      'wishlist.empty': 'Aún no tienes favoritos. Toca el corazón de un producto para guardarlo aquí.',
+      'wishlist.save': 'Guardar {name} en la lista de deseos',
+      'wishlist.added': '{name} añadido a la lista de deseos',
+      'wishlist.removed': '{name} eliminado de la lista de deseos',
+      'wishlist.removeItem': 'Eliminar {name} de la lista de deseos',
+      'wishlist.share': 'Compartir mi lista de deseos',
+      'wishlist.shareNote': 'Quien abra el enlace verá tus favoritos resaltados.',
+      'wishlist.shareTitle': 'Mi lista de deseos de ShoeStore',
+      'wishlist.linkCopied': 'Enlace copiado al portapapeles',
+      'wishlist.shared': { one: 'Alguien compartió {count} favorito contigo. Aparece resaltado abajo.', other: 'Alguien compartió {count} favoritos contigo. Aparecen resaltados abajo.' },
+      'wishlist.saveShared': 'Guardar en mi lista de deseos',
+      'wishlist.dismissShared': 'Descartar',
+      'wishlist.savedShared': { one: '{count} artículo guardado en tu lista de deseos', other: '{count} artículos guardados en tu lista de deseos' },
+      'reviews.label': 'Opiniones de clientes',
+      'reviews.summary': { one: '{rating} de 5, según {count} opinión', other: '{rating} de 5, según {count} opiniones' },
+      'reviews.stars': 'Valoración de {rating} sobre 5',
+      'reviews.count': { one: '{count} opinión', other: '{count} opiniones' },
+      'reviews.slide': 'Opinión {index} de {total}',
+      'reviews.previous': 'Opiniones anteriores',
+      'reviews.next': 'Opiniones siguientes',
+      'reviews.page': 'Página {page} de {pages}',
+      'reviews.empty': 'Aún no hay opiniones. Sé el primero en compartir tu experiencia.',
+      'reviews.unavailable': 'Las opiniones no están disponibles en este momento.',
+      'reviews.submitted': '¡Gracias por tu opinión! Aparecerá aquí una vez aprobada.',
+      'filter.label': 'Filtrar y ordenar productos',
+      'filter.category': 'Categoría',
+      'filter.all': 'Todas',
+      'filter.price': 'Precio ({currency})',
+      'filter.minPrice': 'Precio mínimo',
+      'filter.maxPrice': 'Precio máximo',
+      'filter.min': 'Mín.',
+      'filter.max': 'Máx.',
+      'filter.size': 'Talla (EE. UU.)',
+      'filter.color': 'Color',
+      'filter.any': 'Cualquiera',
+      'filter.sort': 'Ordenar por',
+      'filter.clear': 'Borrar filtros',
+      'filter.empty': 'Ningún producto coincide con tus filtros.',
+      'filter.results': { one: 'Mostrando {visible} de {count} producto', other: 'Mostrando {visible} de {count} productos' },
+      'filter.sort.featured': 'Destacados',
+      'filter.sort.price-asc': 'Precio: de menor a mayor',
+      'filter.sort.price-desc': 'Precio: de mayor a menor',
+      'filter.sort.name-asc': 'Nombre: de la A a la Z',
+      'filter.sort.name-desc': 'Nombre: de la Z a la A',
+      'filter.category.formal': 'Formal',
+      'filter.category.loafer': 'Mocasines',
+      'filter.category.oxford': 'Oxford',
+      'filter.category.runner': 'Running',
+      'search.suggestions': {
+        one: '{count} sugerencia disponible. Usa las flechas arriba y abajo para revisarla.',
+        other: '{count} sugerencias disponibles. Usa las flechas arriba y abajo para revisarlas.'
+      },
+      'search.noMatches': 'No hay productos que coincidan',
+      'search.notFound': 'No se encontraron productos para «{query}»',
+      'search.unavailable': 'La búsqueda no está disponible en este momento. Inténtalo más tarde.',
+      'newsletter.checkInbox': 'Revisa tu bandeja de entrada.',
+      'newsletter.sent': 'Enviamos un enlace de confirmación a {email}. Haz clic en él para completar la suscripción.',
+      'newsletter.restart': 'Usar otro correo electrónico',
+      'newsletter.confirmed': 'Tu suscripción está confirmada. Elige sobre qué quieres recibir noticias.',
+      'newsletter.confirmFailed': 'Este enlace de confirmación no es válido o ha caducado. Vuelve a suscribirte.',
+      'newsletter.unsubscribed': 'Has cancelado tu suscripción. Lamentamos que te vayas.',
+      'newsletter.unsubscribeFailed': 'No pudimos procesar este enlace de baja. Inténtalo de nuevo o contáctanos.',
+      'newsletter.preferences': 'Preferencias del boletín',
+      'newsletter.emailMeAbout': 'Enviarme correos sobre ({email})',
+      'newsletter.yourSubscription': 'tu suscripción',
+      'newsletter.save': 'Guardar preferencias',
+      'newsletter.unsubscribe': 'Darse de baja',
+      'newsletter.saved': 'Preferencias guardadas.',
+      'newsletter.saveFailed': 'No pudimos guardar tus preferencias. Inténtalo de nuevo.',
+      'newsletter.preference.newArrivals': 'Novedades',
+      'newsletter.preference.sales': 'Rebajas y promociones',
+      'newsletter.preference.men': 'Estilos para hombre',
+      'newsletter.preference.women': 'Estilos para mujer',
+      'booking.unavailable': 'Este horario ya no está disponible. Elige otro.',
+      'booking.confirmed': '¡Gracias, {name}! Tu prueba está reservada para el {when}.',
+      'booking.addToCalendar': 'Añadir al calendario (.ics)',
+      'booking.summary': 'Prueba de calzado en {store}',
+      'booking.for': 'Prueba para {name}',
+      'booking.phone': 'Teléfono: {phone}',
+      'booking.email': 'Correo electrónico: {email}',
+      'booking.notes': 'Notas: {notes}',
+      'status.open': 'Abierto ahora — cierra a las {time}{note}',
+      'status.closed': 'Cerrado{note}',
+      'status.closedUntil': 'Cerrado{note} — abre {day} a las {time}',
+      'status.today': 'hoy',
+      'status.tomorrow': 'mañana',
+      'status.onDay': 'el {weekday}',
+      'consent.label': 'Consentimiento de cookies',
+      'consent.message': 'Usamos cookies esenciales para el funcionamiento de este sitio. Con tu permiso, también nos gustaría usar analíticas y contenido de terceros.',
+      'consent.accept': 'Aceptar todo',
+      'consent.reject': 'Solo esenciales',
+      'consent.manage': 'Gestionar preferencias',
+      'consent.title': 'Preferencias de cookies',
+      'consent.categories': 'Categorías de cookies',
+      'consent.save': 'Guardar preferencias',
+      'consent.cancel': 'Cancelar',
+      'consent.category.essential.label': 'Esenciales',
+      'consent.category.essential.description': 'Necesarias para el carrito, los formularios y tus preferencias guardadas. Siempre activas.',
+      'consent.category.analytics.label': 'Analíticas',
+      'consent.category.analytics.description': 'Estadísticas de uso anónimas que nos ayudan a mejorar el sitio.',
+      'consent.category.marketing.label': 'Marketing y contenido de terceros',
+      'consent.category.marketing.description': 'Contenido de otros servicios, como Google Fonts, que pueden establecer sus propias cookies.',
+      'update.available': 'Hay una nueva versión de ShoeStore disponible.',
+      'update.reload': 'Recargar',
+      'update.dismiss': 'Cerrar',
+
+      'page.title': 'Colección de calzado premium | ShoeStore - Zapatos de calidad para cada ocasión',
+      'page.description': 'Descubre nuestra colección de zapatos premium para cada ocasión. Artesanía de calidad, diseños modernos y una comodidad excepcional. Visita nuestra tienda para recibir asesoramiento experto y estilos exclusivos.',
+      'page.skip': 'Saltar al contenido principal',
+      'page.home': 'ShoeStore - Inicio',
+      'page.nav.label': 'Navegación principal',
+      'page.nav.home': 'Inicio',
+      'page.nav.products': 'Productos',
+      'page.nav.storeInfo': 'La tienda',
+      'page.nav.about': 'Nosotros',
+      'page.nav.contact': 'Contacto',
+      'page.search.label': 'Buscar productos',
+      'page.search.placeholder': 'Buscar zapatos',
+      'page.search.suggestions': 'Sugerencias de productos',
+      'page.hero.title': 'Estilo y comodidad en cada paso',
+      'page.hero.subtitle': 'Descubre nuestra colección de calzado premium diseñado para cada ocasión. La artesanía de calidad se une al diseño moderno.',
+      'page.hero.shop': 'Comprar ahora',
+      'page.hero.shopLabel': 'Ver nuestra colección',
+      'page.hero.learn': 'Más información',
+      'page.hero.learnLabel': 'Más información sobre ShoeStore',
+      'page.hero.imageAlt': 'Zapatos de piel premium expuestos en estanterías modernas',
+      'page.featured.title': 'Colección destacada',
+      'page.featured.description': 'Estilos seleccionados que combinan artesanía de calidad con diseño moderno',
+      'page.featured.label': 'Productos destacados',
+      'page.store.title': 'Visita nuestra tienda',
+      'page.store.description': 'Conoce nuestra colección en persona y recibe asesoramiento experto sobre la talla',
+      'page.store.location': 'Ubicación',
+      'page.store.country': 'Estados Unidos',
+      'page.store.phone': 'Teléfono:',
+      'page.store.phoneLabel': 'Llámanos al +1-555-123-4567',
+      'page.store.email': 'Correo electrónico:',
+      'page.store.emailLabel': 'Escríbenos a info@shoestore.example.com',
+      'page.store.hours': 'Horario',
+      'page.store.weekdays': 'Lunes - Viernes',
+      'page.store.weekend': 'Sábado - Domingo',
+      'page.store.findUs': 'Encuéntranos',
+      'page.store.mapAlt': 'Mapa con la ubicación de ShoeStore en 123 Main Street, Downtown',
+      'page.store.directions': 'Cómo llegar',
+      'page.store.directionsLabel': 'Cómo llegar a nuestra tienda (se abre en una ventana nueva)',
+      'page.fitting.title': 'Reserva una prueba',
+      'page.fitting.description': 'Reserva 30 minutos con uno de nuestros especialistas durante el horario de la tienda',
+      'page.fitting.date': 'Fecha',
+      'page.fitting.time': 'Hora',
+      'page.fitting.notes': '¿Qué estás buscando?',
+      'page.fitting.notesPlaceholder': 'p. ej., zapatillas de running anchas, zapatos de boda',
+      'page.fitting.submit': 'Reservar prueba',
+      'page.form.required': 'obligatorio',
+      'page.form.name': 'Nombre',
+      'page.form.namePlaceholder': 'Tu nombre completo',
+      'page.form.email': 'Correo electrónico',
+      'page.form.emailPlaceholder': 'tu.correo@ejemplo.com',
+      'page.form.phone': 'Teléfono',
+      'page.about.title': 'Sobre ShoeStore',
+      'page.about.storyTitle': 'Nuestra historia',
+      'page.about.story': 'Fundada en 2014 con la pasión por el calzado de calidad, ShoeStore lleva más de una década al servicio de nuestra comunidad. Creemos que el par de zapatos adecuado puede transformar no solo tu atuendo, sino todo tu día. Lo que empezó como una pequeña boutique se ha convertido en un destino de confianza para clientes exigentes que valoran la artesanía, la comodidad y el estilo atemporal. Nuestro camino se ha guiado por un principio sencillo: no renunciar nunca a la calidad.',
+      'page.about.missionTitle': 'Nuestra misión',
+      'page.about.mission': 'Nos comprometemos a ofrecer a nuestros clientes calzado premium que combina estilo, comodidad y durabilidad. Cada par de nuestra colección se selecciona cuidadosamente para cumplir nuestros altos estándares de calidad y artesanía. Colaboramos con marcas reconocidas y diseñadores emergentes que comparten nuestra dedicación a la excelencia, para que cada zapato cuente una historia de habilidad artesanal y atención al detalle.',
+      'page.about.whyTitle': 'Por qué elegirnos',
+      'page.about.why1': 'Selección cuidada de marcas premium y diseños exclusivos',
+      'page.about.why2': 'Asesoramiento experto sobre la talla y atención personalizada de especialistas',
+      'page.about.why3': 'Garantía de calidad en todos los productos y devoluciones sin complicaciones',
+      'page.about.why4': 'Abastecimiento sostenible y ético',
+      'page.about.why5': 'Devoluciones y cambios fáciles en un plazo de 30 días',
+      'page.about.why6': 'Más de 10 años de servicio de confianza con un 98 % de clientes satisfechos',
+      'page.about.imageAlt': 'Interior de ShoeStore con estanterías modernas y una colección de zapatos ordenada',
+      'page.about.testimonials': 'Lo que dicen nuestros clientes',
+      'page.reviews.formTitle': 'Escribe una opinión',
+      'page.reviews.email': 'Correo electrónico (nunca se publica)',
+      'page.reviews.product': '¿Qué vas a valorar?',
+      'page.reviews.productStore': 'Comprar en ShoeStore',
+      'page.reviews.rating': 'Valoración',
+      'page.reviews.stars1': '1 estrella',
+      'page.reviews.stars2': '2 estrellas',
+      'page.reviews.stars3': '3 estrellas',
+      'page.reviews.stars4': '4 estrellas',
+      'page.reviews.stars5': '5 estrellas',
+      'page.reviews.body': 'Tu opinión',
+      'page.reviews.bodyPlaceholder': '¿Qué te gustó? ¿Qué tal el ajuste?',
+      'page.reviews.submit': 'Enviar opinión',
+      'page.contact.title': 'Ponte en contacto',
+      'page.contact.description': '¿Tienes preguntas? Nos encantaría saber de ti',
+      'page.contact.subject': 'Asunto',
+      'page.contact.subjectPlaceholder': '¿En qué podemos ayudarte?',
+      'page.contact.message': 'Mensaje',
+      'page.contact.messagePlaceholder': 'Cuéntanos más sobre tu consulta...',
+      'page.contact.submit': 'Enviar mensaje',
+      'page.footer.tagline': 'Calzado premium para cada ocasión',
+      'page.footer.facebook': 'Síguenos en Facebook (se abre en una ventana nueva)',
+      'page.footer.instagram': 'Síguenos en Instagram (se abre en una ventana nueva)',
+      'page.footer.twitter': 'Síguenos en Twitter (se abre en una ventana nueva)',
+      'page.footer.navLabel': 'Navegación del pie de página',
+      'page.footer.quickLinks': 'Enlaces rápidos',
+      'page.footer.aboutUs': 'Sobre nosotros',
+      'page.footer.service': 'Atención al cliente',
+      'page.footer.shipping': 'Información de envío',
+      'page.footer.returns': 'Devoluciones y cambios',
+      'page.footer.sizeGuide': 'Guía de tallas',
+      'page.footer.faq': 'Preguntas frecuentes',
+      'page.footer.newsletter': 'Boletín',
+      'page.footer.newsletterText': 'Suscríbete para recibir ofertas exclusivas y novedades',
+      'page.footer.newsletterLabel': 'Suscripción al boletín',
+      'page.footer.emailLabel': 'Correo electrónico',
+      'page.footer.emailPlaceholder': 'Introduce tu correo electrónico',
+      'page.footer.subscribe': 'Suscribirse',
+      'page.footer.subscribeLabel': 'Suscribirse al boletín',
+      'page.footer.copyright': '© 2024 ShoeStore. Todos los derechos reservados.',
+      'page.footer.legalLabel': 'Información legal',
+      'page.footer.privacy': 'Política de privacidad',
+      'page.footer.terms': 'Términos del servicio',
+      'page.footer.accessibility': 'Accesibilidad',
+      'page.footer.cookies': 'Preferencias de cookies'
+    },
+
+    fr: {
+      'language.label': 'Langue',
+      'menu.toggle': 'Afficher ou masquer le menu de navigation',
+      'theme.toggle': 'Thème : {theme}',
+      'theme.light': 'Clair',
+      'theme.dark': 'Sombre',
+      'theme.system': 'Système',
+      'form.required': 'Le champ {label} est obligatoire',
+      'form.invalidEmail': 'Veuillez saisir une adresse e-mail valide',
+      'form.invalidPhone': 'Veuillez saisir un numéro de téléphone valide',
+      'form.minLength': 'Le champ {label} doit contenir au moins {min} caractères',
+      'form.maxLength': 'Le champ {label} doit contenir au plus {max} caractères',
+      'form.invalid': 'Veuillez saisir une valeur valide pour {field}',
+      'form.mismatch': 'Le champ {label} doit correspondre à {other}',
+      'form.check': 'Veuillez vérifier le champ {field}',
+      'form.sending': 'Envoi…',
+      'form.error': 'Une erreur s\'est produite. Veuillez réessayer.',
+      'form.offline': 'Vous semblez être hors ligne. Veuillez réessayer une fois la connexion rétablie.',
+      'form.queued': 'Vous êtes hors ligne. Nous l\'enverrons automatiquement dès le retour de la connexion.',
+      'form.success': 'Merci ! Votre message a bien été envoyé.',
+      'catalog.unavailable': 'Notre collection est momentanément indisponible. Veuillez réessayer dans quelques instants.',
+      'product.price': 'Prix : {price}',
+      'product.viewDetails': 'Voir le détail',
+      'product.viewDetailsFor': 'Voir le détail de {name}',
+      'product.addToCart': 'Ajouter au panier',
+      'product.addToCartFor': 'Ajouter {name} au panier',
+      'detail.close': 'Fermer le détail du produit',
+      'detail.outOfStock': '(épuisé)',
+      'detail.sizes': 'Pointures (US)',
+      'detail.colors': 'Couleurs',
+      'detail.materials': 'Matières',
+      'cart.title': 'Votre panier',
+      'cart.close': 'Fermer le panier',
+      'cart.toggle': { one: 'Ouvrir le panier, {count} article', other: 'Ouvrir le panier, {count} articles' },
+      'cart.subtotal': 'Sous-total',
+      'cart.note': 'Taxes et frais de livraison calculés lors du paiement.',
+      'cart.empty': 'Votre panier est vide.',
+      'cart.added': '{name} ajouté au panier',
+      'cart.outOfStock': '{name} est épuisé',
+      'cart.size': 'Pointure',
+      'cart.quantity': 'Qté',
+      'cart.remove': 'Retirer',
+      'cart.removeItem': 'Retirer {name} du panier',
+      'wishlist.title': 'Vos favoris',
+      'wishlist.close': 'Fermer les favoris',
+      'wishlist.toggle': { one: 'Ouvrir les favoris, {count} article', other: 'Ouvrir les favoris, {count} articles' },
+      'wishlist.empty': 'Aucun favori pour l\'instant. Touchez le cœur d\'un produit pour l\'enregistrer ici.',
+      'wishlist.save': 'Ajouter {name} aux favoris',
+      'wishlist.added': '{name} ajouté aux favoris',
+      'wishlist.removed': '{name} retiré des favoris',
+      'wishlist.removeItem': 'Retirer {name} des favoris',
+      'wishlist.share': 'Partager mes favoris',
+      'wishlist.shareNote': 'Toute personne ayant le lien verra vos favoris mis en évidence.',
+      'wishlist.shareTitle': 'Mes favoris ShoeStore',
+      'wishlist.linkCopied': 'Lien copié dans le presse-papiers',
+      'wishlist.shared': { one: 'Quelqu\'un a partagé {count} favori avec vous. Il est mis en évidence ci-dessous.', other: 'Quelqu\'un a partagé {count} favoris avec vous. Ils sont mis en évidence ci-dessous.' },
+      'wishlist.saveShared': 'Ajouter à mes favoris',
+      'wishlist.dismissShared': 'Ignorer',
+      'wishlist.savedShared': { one: '{count} article ajouté à vos favoris', other: '{count} articles ajoutés à vos favoris' },
+      'reviews.label': 'Avis clients',
+      'reviews.summary': { one: '{rating} sur 5, d\'après {count} avis', other: '{rating} sur 5, d\'après {count} avis' },
+      'reviews.stars': 'Noté {rating} sur 5',
+      'reviews.count': { one: '{count} avis', other: '{count} avis' },
+      'reviews.slide': 'Avis {index} sur {total}',
+      'reviews.previous': 'Avis précédents',
+      'reviews.next': 'Avis suivants',
+      'reviews.page': 'Page {page} sur {pages}',
+      'reviews.empty': 'Aucun avis pour l\'instant. Soyez le premier à partager votre expérience.',
+      'reviews.unavailable': 'Les avis sont indisponibles pour le moment.',
+      'reviews.submitted': 'Merci pour votre avis ! Il apparaîtra ici une fois approuvé.',
+      'filter.label': 'Filtrer et trier les produits',
+      'filter.category': 'Catégorie',
+      'filter.all': 'Toutes',
+      'filter.price': 'Prix ({currency})',
+      'filter.minPrice': 'Prix minimum',
+      'filter.maxPrice': 'Prix maximum',
+      'filter.min': 'Min',
+      'filter.max': 'Max',
+      'filter.size': 'Pointure (US)',
+      'filter.color': 'Couleur',
+      'filter.any': 'Toutes',
+      'filter.sort': 'Trier par',
+      'filter.clear': 'Effacer les filtres',
+      'filter.empty': 'Aucun produit ne correspond à vos filtres.',
+      'filter.results': { one: '{visible} sur {count} produit affiché', other: '{visible} sur {count} produits affichés' },
+      'filter.sort.featured': 'Sélection',
+      'filter.sort.price-asc': 'Prix croissant',
+      'filter.sort.price-desc': 'Prix décroissant',
+      'filter.sort.name-asc': 'Nom : de A à Z',
+      'filter.sort.name-desc': 'Nom : de Z à A',
+      'filter.category.formal': 'Habillé',
+      'filter.category.loafer': 'Mocassins',
+      'filter.category.oxford': 'Richelieu',
+      'filter.category.runner': 'Running',
+      'search.suggestions': {
+        one: '{count} suggestion disponible. Utilisez les flèches haut et bas pour la parcourir.',
+        other: '{count} suggestions disponibles. Utilisez les flèches haut et bas pour les parcourir.'
+      },
+      'search.noMatches': 'Aucun produit correspondant',
+      'search.notFound': 'Aucun produit trouvé pour « {query} »',
+      'search.unavailable': 'La recherche est indisponible pour le moment. Veuillez réessayer plus tard.',
+      'newsletter.checkInbox': 'Consultez votre boîte de réception.',
+      'newsletter.sent': 'Nous avons envoyé un lien de confirmation à {email}. Cliquez dessus pour finaliser votre inscription.',
+      'newsletter.restart': 'Utiliser une autre adresse e-mail',
+      'newsletter.confirmed': 'Votre inscription est confirmée. Choisissez les sujets qui vous intéressent.',
+      'newsletter.confirmFailed': 'Ce lien de confirmation est invalide ou a expiré. Veuillez vous réinscrire.',
+      'newsletter.unsubscribed': 'Votre désinscription est effective. Nous sommes désolés de vous voir partir.',
+      'newsletter.unsubscribeFailed': 'Nous n\'avons pas pu traiter ce lien de désinscription. Veuillez réessayer ou nous contacter.',
+      'newsletter.preferences': 'Préférences de la newsletter',
+      'newsletter.emailMeAbout': 'M\'écrire au sujet de ({email})',
+      'newsletter.yourSubscription': 'votre abonnement',
+      'newsletter.save': 'Enregistrer les préférences',
+      'newsletter.unsubscribe': 'Se désinscrire',
+      'newsletter.saved': 'Préférences enregistrées.',
+      'newsletter.saveFailed': 'Nous n\'avons pas pu enregistrer vos préférences. Veuillez réessayer.',
+      'newsletter.preference.newArrivals': 'Nouveautés',
+      'newsletter.preference.sales': 'Soldes et promotions',
+      'newsletter.preference.men': 'Styles homme',
+      'newsletter.preference.women': 'Styles femme',
+      'booking.unavailable': 'Ce créneau n\'est plus disponible. Veuillez en choisir un autre.',
+      'booking.confirmed': 'Merci, {name} ! Votre essayage est réservé pour le {when}.',
+      'booking.addToCalendar': 'Ajouter au calendrier (.ics)',
+      'booking.summary': 'Essayage de chaussures chez {store}',
+      'booking.for': 'Essayage pour {name}',
+      'booking.phone': 'Téléphone : {phone}',
+      'booking.email': 'E-mail : {email}',
+      'booking.notes': 'Remarques : {notes}',
+      'status.open': 'Ouvert — ferme à {time}{note}',
+      'status.closed': 'Fermé{note}',
+      'status.closedUntil': 'Fermé{note} — ouvre {day} à {time}',
+      'status.today': 'aujourd\'hui',
+      'status.tomorrow': 'demain',
+      'status.onDay': '{weekday}',
+      'consent.label': 'Consentement aux cookies',
+      'consent.message': 'Nous utilisons des cookies essentiels au fonctionnement de ce site. Avec votre accord, nous aimerions aussi utiliser des outils de mesure d\'audience et du contenu tiers.',
+      'consent.accept': 'Tout accepter',
+      'consent.reject': 'Essentiels uniquement',
+      'consent.manage': 'Gérer les préférences',
+      'consent.title': 'Préférences de cookies',
+      'consent.categories': 'Catégories de cookies',
+      'consent.save': 'Enregistrer les préférences',
+      'consent.cancel': 'Annuler',
+      'consent.category.essential.label': 'Essentiels',
+      'consent.category.essential.description': 'Nécessaires au panier, aux formulaires et à vos préférences enregistrées. Toujours actifs.',
+      'consent.category.analytics.label': 'Mesure d\'audience',
+      'consent.category.analytics.description': 'Statistiques d\'utilisation anonymes qui nous aident à améliorer le site.',
+      'consent.category.marketing.label': 'Marketing et contenu tiers',
+      'consent.category.marketing.description': 'Contenu d\'autres services, comme Google Fonts, susceptibles de déposer leurs propres cookies.',
+      'update.available': 'Une nouvelle version de ShoeStore est disponible.',
+      'update.reload': 'Recharger',
+      'update.dismiss': 'Fermer',
+
+      'page.title': 'Collection de chaussures haut de gamme | ShoeStore - Des chaussures de qualité pour chaque occasion',
+      'page.description': 'Découvrez notre sélection de chaussures haut de gamme pour chaque occasion. Savoir-faire, designs modernes et confort exceptionnel. Rendez-vous en boutique pour des conseils d\'essayage et des modèles exclusifs.',
+      'page.skip': 'Aller au contenu principal',
+      'page.home': 'ShoeStore - Accueil',
+      'page.nav.label': 'Navigation principale',
+      'page.nav.home': 'Accueil',
+      'page.nav.products': 'Produits',
+      'page.nav.storeInfo': 'La boutique',
+      'page.nav.about': 'À propos',
+      'page.nav.contact': 'Contact',
+      'page.search.label': 'Rechercher des produits',
+      'page.search.placeholder': 'Rechercher des chaussures',
+      'page.search.suggestions': 'Suggestions de produits',
+      'page.hero.title': 'Le style et le confort à chaque pas',
+      'page.hero.subtitle': 'Découvrez notre sélection de chaussures haut de gamme conçues pour chaque occasion. Le savoir-faire rencontre le design moderne.',
+      'page.hero.shop': 'Découvrir',
+      'page.hero.shopLabel': 'Découvrir notre collection',
+      'page.hero.learn': 'En savoir plus',
+      'page.hero.learnLabel': 'En savoir plus sur ShoeStore',
+      'page.hero.imageAlt': 'Chaussures en cuir haut de gamme exposées sur des étagères modernes',
+      'page.featured.title': 'Collection vedette',
+      'page.featured.description': 'Des modèles choisis avec soin qui allient savoir-faire et design moderne',
+      'page.featured.label': 'Produits vedettes',
+      'page.store.title': 'Venez en boutique',
+      'page.store.description': 'Découvrez notre collection sur place et profitez de conseils d\'essayage experts',
+      'page.store.location': 'Adresse',
+      'page.store.country': 'États-Unis',
+      'page.store.phone': 'Téléphone :',
+      'page.store.phoneLabel': 'Appelez-nous au +1-555-123-4567',
+      'page.store.email': 'E-mail :',
+      'page.store.emailLabel': 'Écrivez-nous à info@shoestore.example.com',
+      'page.store.hours': 'Horaires',
+      'page.store.weekdays': 'Lundi - Vendredi',
+      'page.store.weekend': 'Samedi - Dimanche',
+      'page.store.findUs': 'Nous trouver',
+      'page.store.mapAlt': 'Plan indiquant l\'emplacement de ShoeStore au 123 Main Street, Downtown',
+      'page.store.directions': 'Itinéraire',
+      'page.store.directionsLabel': 'Itinéraire vers notre boutique (s\'ouvre dans une nouvelle fenêtre)',
+      'page.fitting.title': 'Réserver un essayage',
+      'page.fitting.description': 'Réservez 30 minutes avec l\'un de nos spécialistes pendant les heures d\'ouverture',
+      'page.fitting.date': 'Date',
+      'page.fitting.time': 'Heure',
+      'page.fitting.notes': 'Que recherchez-vous ?',
+      'page.fitting.notesPlaceholder': 'ex. : chaussures de running larges, chaussures de mariage',
+      'page.fitting.submit': 'Réserver l\'essayage',
+      'page.form.required': 'obligatoire',
+      'page.form.name': 'Nom',
+      'page.form.namePlaceholder': 'Votre nom complet',
+      'page.form.email': 'E-mail',
+      'page.form.emailPlaceholder': 'votre.email@exemple.com',
+      'page.form.phone': 'Téléphone',
+      'page.about.title': 'À propos de ShoeStore',
+      'page.about.storyTitle': 'Notre histoire',
+      'page.about.story': 'Fondée en 2014 par passion pour les chaussures de qualité, ShoeStore est au service de notre communauté depuis plus de dix ans. Nous sommes convaincus que la bonne paire de chaussures peut transformer non seulement votre tenue, mais toute votre journée. La petite boutique des débuts est devenue une adresse de confiance pour une clientèle exigeante, attachée au savoir-faire, au confort et à l\'élégance intemporelle. Un principe simple nous guide depuis le début : ne jamais transiger sur la qualité.',
+      'page.about.missionTitle': 'Notre mission',
+      'page.about.mission': 'Nous nous engageons à proposer à nos clients des chaussures haut de gamme alliant style, confort et durabilité. Chaque paire de notre collection est soigneusement sélectionnée pour répondre à nos exigences de qualité et de savoir-faire. Nous travaillons avec des marques reconnues et des créateurs émergents qui partagent notre goût de l\'excellence, afin que chaque chaussure raconte une histoire de savoir-faire artisanal et de souci du détail.',
+      'page.about.whyTitle': 'Pourquoi nous choisir',
+      'page.about.why1': 'Une sélection soignée de marques haut de gamme et de modèles exclusifs',
+      'page.about.why2': 'Essayage expert et service personnalisé par des spécialistes formés',
+      'page.about.why3': 'Garantie qualité sur tous les produits et retours sans tracas',
+      'page.about.why4': 'Un approvisionnement durable et éthique',
+      'page.about.why5': 'Retours et échanges faciles sous 30 jours',
+      'page.about.why6': 'Plus de 10 ans de confiance et 98 % de clients satisfaits',
+      'page.about.imageAlt': 'Intérieur de ShoeStore avec des présentoirs modernes et une collection de chaussures bien rangée',
+      'page.about.testimonials': 'Ce que disent nos clients',
+      'page.reviews.formTitle': 'Donner votre avis',
+      'page.reviews.email': 'E-mail (jamais publié)',
+      'page.reviews.product': 'Que souhaitez-vous évaluer ?',
+      'page.reviews.productStore': 'Vos achats chez ShoeStore',
+      'page.reviews.rating': 'Note',
+      'page.reviews.stars1': '1 étoile',
+      'page.reviews.stars2': '2 étoiles',
+      'page.reviews.stars3': '3 étoiles',
+      'page.reviews.stars4': '4 étoiles',
+      'page.reviews.stars5': '5 étoiles',
+      'page.reviews.body': 'Votre avis',
+      'page.reviews.bodyPlaceholder': 'Qu\'avez-vous aimé ? Comment est la pointure ?',
+      'page.reviews.submit': 'Envoyer l\'avis',
+      'page.contact.title': 'Contactez-nous',
+      'page.contact.description': 'Une question ? Nous serions ravis de vous lire',
+      'page.contact.subject': 'Objet',
+      'page.contact.subjectPlaceholder': 'Comment pouvons-nous vous aider ?',
+      'page.contact.message': 'Message',
+      'page.contact.messagePlaceholder': 'Dites-nous en plus sur votre demande...',
+      'page.contact.submit': 'Envoyer le message',
+      'page.footer.tagline': 'Des chaussures haut de gamme pour chaque occasion',
+      'page.footer.facebook': 'Suivez-nous sur Facebook (s\'ouvre dans une nouvelle fenêtre)',
+      'page.footer.instagram': 'Suivez-nous sur Instagram (s\'ouvre dans une nouvelle fenêtre)',
+      'page.footer.twitter': 'Suivez-nous sur Twitter (s\'ouvre dans une nouvelle fenêtre)',
+      'page.footer.navLabel': 'Navigation du pied de page',
+      'page.footer.quickLinks': 'Liens rapides',
+      'page.footer.aboutUs': 'À propos de nous',
+      'page.footer.service': 'Service client',
+      'page.footer.shipping': 'Livraison',
+      'page.footer.returns': 'Retours et échanges',
+      'page.footer.sizeGuide': 'Guide des pointures',
+      'page.footer.faq': 'FAQ',
+      'page.footer.newsletter': 'Newsletter',
+      'page.footer.newsletterText': 'Abonnez-vous pour recevoir nos offres exclusives et nos actualités',
+      'page.footer.newsletterLabel': 'Inscription à la newsletter',
+      'page.footer.emailLabel': 'Adresse e-mail',
+      'page.footer.emailPlaceholder': 'Saisissez votre e-mail',
+      'page.footer.subscribe': 'S\'abonner',
+      'page.footer.subscribeLabel': 'S\'abonner à la newsletter',
+      'page.footer.copyright': '© 2024 ShoeStore. Tous droits réservés.',
+      'page.footer.legalLabel': 'Informations légales',
+      'page.footer.privacy': 'Politique de confidentialité',
+      'page.footer.terms': 'Conditions d\'utilisation',
+      'page.footer.accessibility': 'Accessibilité',
+      'page.footer.cookies': 'Préférences de cookies'
     }
+  };
 
-    /**
-     * Load individual image
-     * @param {HTMLImageElement} img - Image element
-     */
-    loadImage(img) {
-      const startTime = performance.now();
+  const I18N_ATTRIBUTE_PREFIX = 'data-i18n-';
+  const numberFormats = new Map();
+  let currentLocale = null;
 
-      // Handle picture element sources
-      const picture = img.closest('picture');
-      if (picture) {
-        const sources = picture.querySelectorAll('source');
-        sources.forEach(source => {
-          if (source.dataset.srcset) {
-            source.srcset = source.dataset.srcset;
-            source.removeAttribute('data-srcset');
-          }
-        });
-      }
+  /**
+   * Map a language tag such as "es-MX" to a supported locale code
+   * @param {string} [tag] - Language tag
+   * @returns {string|null} Locale code, or null when unsupported
+   */
+  function matchLocale(tag) {
+    const code = String(tag || '').toLowerCase().split('-')[0];
+    return Object.prototype.hasOwnProperty.call(CONFIG.I18N.locales, code) ? code : null;
+  }
 
-      // Load main image
-      const originalSrc = img.src;
-      
-      img.addEventListener('load', () => {
-        img.classList.remove(CONFIG.LAZY_LOAD.loadingClass);
-        img.classList.add(CONFIG.LAZY_LOAD.loadedClass);
-        this.loadedCount++;
-        logPerformance(`Image loaded: ${img.alt || 'unnamed'}`, startTime);
-      }, { once: true });
+  /**
+   * Current locale: ?lang=, then the saved choice, then the browser languages.
+   * A ?lang= link also becomes the saved choice.
+   * @returns {string} Locale code, e.g. 'es'
+   */
+  function getLocale() {
+    if (currentLocale) return currentLocale;
 
-      img.addEventListener('error', () => {
-        img.classList.remove(CONFIG.LAZY_LOAD.loadingClass);
-        img.classList.add(CONFIG.LAZY_LOAD.errorClass);
-        this.errorCount++;
-        logError('Image loading failed', new Error(`Failed to load: ${originalSrc}`));
-      }, { once: true });
+    const fromUrl = matchLocale(new URLSearchParams(window.location.search).get(CONFIG.I18N.param));
+    let saved = null;
 
-      // Trigger load if src is already set, otherwise it will load naturally
-      if (img.complete && img.naturalHeight !== 0) {
-        img.dispatchEvent(new Event('load'));
+    try {
+      if (fromUrl) {
+        localStorage.setItem(CONFIG.I18N.storageKey, fromUrl);
       }
+      saved = matchLocale(localStorage.getItem(CONFIG.I18N.storageKey));
+    } catch (error) {
+      logger('I18n').warn('Saved language unavailable:', error);
     }
 
-    /**
-     * Fallback: Load all images immediately
-     */
-    loadAllImages() {
+    const fromBrowser = (navigator.languages || [navigator.language]).map(matchLocale).find(Boolean);
+
+    currentLocale = fromUrl || saved || fromBrowser || CONFIG.I18N.defaultLocale;
+    return currentLocale;
+  }
+
+  /**
+   * BCP 47 tag for Intl formatting and <html lang>, e.g. 'es-US'
+   * @returns {string} Language tag
+   */
+  function getLocaleTag() {
+    return CONFIG.I18N.locales[getLocale()].tag;
+  }
+
+  /**
+   * Translate a message
+   * @param {string} key - Message key
+   * @param {Object} [params] - Placeholder values; count also selects the plural form
+   * @param {string} [fallback] - Used when the current catalog has no such key
+   * @returns {string} Translated text
+   */
+  function t(key, params = {}, fallback) {
+    const lookup = locale => (Object.prototype.hasOwnProperty.call(MESSAGES[locale] || {}, key)
+      ? MESSAGES[locale][key]
+      : undefined);
+
+    let message = lookup(getLocale());
+    if (message === undefined) message = fallback;
+    if (message === undefined) message = lookup('en');
+
+    if (message === undefined) {
+      logger('I18n').warn(`Missing message: ${key}`);
+      return key;
+    }
+
+    if (typeof message === 'object') {
+      const form = new Intl.PluralRules(getLocaleTag()).select(Number(params.count) || 0);
+      message = message[form] !== undefined ? message[form] : message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  /**
+   * Cached currency formatter for the current locale
+   * @param {string} currency - ISO 4217 code
+   * @returns {Intl.NumberFormat}
+   */
+  function getCurrencyFormat(currency) {
+    if (!numberFormats.has(currency)) {
+      numberFormats.set(currency, new Intl.NumberFormat(getLocaleTag(), { style: 'currency', currency }));
+    }
+    return numberFormats.get(currency);
+  }
+
+  /**
+   * Format an amount as a price in the current locale
+   * @param {number} amount - Amount in major units, e.g. 129.99
+   * @param {string} [currency] - ISO 4217 code
+   * @returns {string} Formatted price, e.g. "$129.99" or "129,99 $US"
+   */
+  function formatCurrency(amount, currency = CONFIG.CART.currency) {
+    return getCurrencyFormat(currency).format(amount);
+  }
+
+  /**
+   * Price markup with the symbol in a .currency span and the number in an
+   * .amount span, in whatever order the locale uses
+   * @param {number} amount - Amount in major units
+   * @param {string} [currency] - ISO 4217 code
+   * @param {string} [amountAttributes=''] - Extra attributes for the .amount span
+   * @returns {string} Price HTML
+   */
+  function formatPriceMarkup(amount, currency = CONFIG.CART.currency, amountAttributes = '') {
+    const segments = [];
+
+    getCurrencyFormat(currency).formatToParts(amount).forEach(({ type, value }) => {
+      const last = segments[segments.length - 1];
+
+      if (type === 'currency') {
+        segments.push({ currency: true, text: value });
+      } else if (last && !last.currency) {
+        last.text += value;
+      } else {
+        segments.push({ currency: false, text: value });
+      }
+    });
+
+    return segments.map(({ currency: isCurrency, text }) => {
+      if (isCurrency) return `<span class="currency">${escapeHtml(text)}</span>`;
+
+      // Keep separating spaces (e.g. "129,99 $US") outside the amount
+      const [, before, number, after] = text.match(/^(\s*)(.*?)(\s*)$/);
+      return `${before}<span class="amount"${amountAttributes}>${escapeHtml(number)}</span>${after}`;
+    }).join('');
+  }
+
+  /**
+   * Currency symbol in the current locale, e.g. "$" or "$US"
+   * @param {string} [currency] - ISO 4217 code
+   * @returns {string} Symbol
+   */
+  function getCurrencySymbol(currency = CONFIG.CART.currency) {
+    const part = getCurrencyFormat(currency).formatToParts(0).find(({ type }) => type === 'currency');
+    return part ? part.value : currency;
+  }
+
+  /**
+   * Replace the first non-blank text node, keeping child elements such as
+   * the required-field marker inside labels
+   * @param {Element} element - Element to update
+   * @param {string} text - New text
+   */
+  function setElementText(element, text) {
+    const node = Array.from(element.childNodes)
+      .find(child => child.nodeType === Node.TEXT_NODE && child.textContent.trim());
+
+    if (!node) {
+      if (element.children.length === 0) element.textContent = text;
+      return;
+    }
+
+    const [, before, , after] = node.textContent.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    node.textContent = `${before}${text}${after}`;
+  }
+
+  class I18n {
+    constructor() {
+      this.switcher = null;
+      this.pageLocale = matchLocale(document.documentElement.lang) || 'en';
+
+      this.handleChange = this.handleChange.bind(this);
+    }
+
+    /**
+     * Apply the current locale to the page and add the language switcher
+     */
+    init() {
+      try {
+        const locale = getLocale();
+
+        this.applyDocumentLocale();
+
+        if (locale !== this.pageLocale) {
+          this.translate(document);
+        }
+        this.formatTimes(document);
+        this.createSwitcher();
+
+        logger('I18n').info(`Locale: ${locale}`);
+      } catch (error) {
+        logError('I18n initialization', error);
+      }
+    }
+
+    /**
+     * Update <html lang> and the Open Graph locale tags
+     */
+    applyDocumentLocale() {
+      const { locales } = CONFIG.I18N;
+      const locale = getLocale();
+      const toOgLocale = code => locales[code].tag.replace('-', '_');
+
+      document.documentElement.lang = getLocaleTag();
+
+      const ogLocale = document.querySelector('meta[property="og:locale"]');
+      if (ogLocale) {
+        ogLocale.setAttribute('content', toOgLocale(locale));
+      }
+
+      document.querySelectorAll('meta[property="og:locale:alternate"]').forEach(meta => meta.remove());
+
+      const anchor = ogLocale || document.head.lastElementChild;
+      Object.keys(locales).filter(code => code !== locale).reverse().forEach(code => {
+        const meta = document.createElement('meta');
+        meta.setAttribute('property', 'og:locale:alternate');
+        meta.setAttribute('content', toOgLocale(code));
+        anchor.insertAdjacentElement('afterend', meta);
+      });
+    }
+
+    /**
+     * Translate data-i18n text and data-i18n-<attribute> values. Keys missing
+     * from the catalog leave the English markup in place.
+     * @param {ParentNode} root - Container to translate
+     */
+    translate(root) {
+      const catalog = MESSAGES[getLocale()] || {};
+
+      root.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes).forEach(({ name, value }) => {
+          if (!catalog[value]) return;
+
+          if (name === 'data-i18n') {
+            setElementText(element, catalog[value]);
+          } else if (name.startsWith(I18N_ATTRIBUTE_PREFIX)) {
+            element.setAttribute(name.slice(I18N_ATTRIBUTE_PREFIX.length), catalog[value]);
+          }
+        });
+      });
+    }
+
+    /**
+     * Format <time datetime="HH:MM"> store hours for the current locale
+     * @param {ParentNode} root - Container to update
+     */
+    formatTimes(root) {
+      const formatter = new Intl.DateTimeFormat(getLocaleTag(), {
+        timeZone: 'UTC',
+        hour: 'numeric',
+        minute: '2-digit'
+      });
+
+      root.querySelectorAll('time[datetime]').forEach(element => {
+        const match = element.getAttribute('datetime').match(/^(\d{2}):(\d{2})$/);
+        if (!match) return;
+
+        element.textContent = formatter.format(new Date(Date.UTC(2000, 0, 1, Number(match[1]), Number(match[2]))));
+      });
+    }
+
+    /**
+     * Add the language select to the header
+     */
+    createSwitcher() {
+      const header = document.querySelector(SELECTORS.headerContainer);
+      if (!header) return;
+
+      const options = Object.entries(CONFIG.I18N.locales).map(([code, { label }]) => `
+        <option value="${escapeHtml(code)}" lang="${escapeHtml(code)}"${code === getLocale() ? ' selected' : ''}>${escapeHtml(label)}</option>
+      `).join('');
+
+      this.switcher = document.createElement('div');
+      this.switcher.className = 'language-switcher';
+      this.switcher.innerHTML = `
+        <label for="language-select" class="sr-only">${escapeHtml(t('language.label'))}</label>
+        <select id="language-select">${options}</select>
+      `;
+
+      this.switcher.addEventListener('change', this.handleChange);
+      header.appendChild(this.switcher);
+    }
+
+    /**
+     * @param {Event} event - Change event from the language select
+     */
+    handleChange(event) {
+      this.setLocale(event.target.value);
+    }
+
+    /**
+     * Save a locale and reload so every module renders in it from the start
+     * @param {string} locale - Locale code
+     */
+    setLocale(locale) {
+      const code = matchLocale(locale);
+      if (!code || code === getLocale()) return;
+
+      try {
+        localStorage.setItem(CONFIG.I18N.storageKey, code);
+      } catch (error) {
+        logger('I18n').warn('Could not save language:', error);
+      }
+
+      // ?lang= wins over the saved choice, so keep it in step
+      const url = new URL(window.location.href);
+      if (url.searchParams.has(CONFIG.I18N.param) || !this.canPersist()) {
+        url.searchParams.set(CONFIG.I18N.param, code);
+        window.location.assign(url.href);
+      } else {
+        window.location.reload();
+      }
+    }
+
+    /**
+     * Whether the saved choice will survive the reload
+     * @returns {boolean}
+     */
+    canPersist() {
+      try {
+        return localStorage.getItem(CONFIG.I18N.storageKey) !== null;
+      } catch (error) {
+        return false;
+      }
+    }
+
+    /**
+     * Remove the switcher
+     */
+    destroy() {
+      if (this.switcher) {
+        this.switcher.removeEventListener('change', this.handleChange);
+        this.switcher.remove();
+        this.switcher = null;
+      }
+    }
+  }
+
+  // ============================================================================
+  // EVENT BUS
+  // ============================================================================
+
+  /*
+   * Modules publish what happened ('catalog:loaded', 'cart:change', 'product:view',
+   * 'search:select', 'form:submitted', 'performance:load') and subscribe to each other here
+   * instead of calling into one another.
+   */
+  class EventBus {
+    constructor() {
+      this.handlers = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name
+     * @param {Function} handler - Receives the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+      if (typeof handler !== 'function') {
+        throw new TypeError(`Handler for "${event}" must be a function`);
+      }
+
+      if (!this.handlers.has(event)) {
+        this.handlers.set(event, new Set());
+      }
+      this.handlers.get(event).add(handler);
+
+      return () => this.off(event, handler);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(event, handler) {
+      const handlers = this.handlers.get(event);
+      if (!handlers) return;
+
+      handlers.delete(handler);
+      if (handlers.size === 0) {
+        this.handlers.delete(event);
+      }
+    }
+
+    /**
+     * Publish an event. A failing handler is logged and does not stop the others.
+     * @param {string} event - Event name
+     * @param {*} [payload] - Event payload
+     */
+    emit(event, payload) {
+      const handlers = this.handlers.get(event);
+      if (!handlers) return;
+
+      Array.from(handlers).forEach(handler => {
+        try {
+          handler(payload, event);
+        } catch (error) {
+          logError(`Event handler for "${event}"`, error);
+        }
+      });
+    }
+  }
+
+  const events = new EventBus();
+
+  // ============================================================================
+  // ERROR REPORTING
+  // ============================================================================
+
+  /*
+   * Collects errors from logError(), window 'error' and 'unhandledrejection'.
+   * Reports carry no query strings or form data. The reporter never calls
+   * logError() itself so a failing endpoint cannot feed back into it.
+   */
+  class ErrorReporter {
+    constructor() {
+      this.queue = [];
+      this.recent = new Map();
+      this.sentTimes = [];
+      this.dropped = 0;
+      this.timer = null;
+      this.repeatTimer = null;
+      this.installed = false;
+
+      this.handleError = this.handleError.bind(this);
+      this.handleRejection = this.handleRejection.bind(this);
+      this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+      this.flush = this.flush.bind(this);
+    }
+
+    /**
+     * Start listening for uncaught errors
+     */
+    init() {
+      if (this.installed) return;
+
+      window.addEventListener('error', this.handleError);
+      window.addEventListener('unhandledrejection', this.handleRejection);
+      document.addEventListener('visibilitychange', this.handleVisibilityChange);
+      window.addEventListener('pagehide', this.flush);
+      this.installed = true;
+
+      logger('ErrorReporter').info('Initialized');
+    }
+
+    /**
+     * Uncaught exceptions
+     * @param {ErrorEvent} event - Error event
+     */
+    handleError(event) {
+      const error = event.error || new Error(event.message || 'Unknown error');
+      this.capture(error, {
+        module: 'window.onerror',
+        source: event.filename ? `${event.filename}:${event.lineno}:${event.colno}` : undefined
+      });
+    }
+
+    /**
+     * Unhandled promise rejections
+     * @param {PromiseRejectionEvent} event - Rejection event
+     */
+    handleRejection(event) {
+      const reason = event.reason instanceof Error ? event.reason : new Error(String(event.reason));
+      this.capture(reason, { module: 'unhandledrejection' });
+    }
+
+    /**
+     * Queue an error report
+     * @param {Error} error - Error to report
+     * @param {Object} [context] - Extra context, e.g. { module }
+     */
+    capture(error, context = {}) {
+      if (!CONFIG.ERROR_REPORTING.endpoint) return;
+
+      const message = (error && error.message) || String(error);
+      const stack = (error && error.stack) || '';
+      const fingerprint = [context.module, message, stack.split('\n')[1] || ''].join('|');
+      const now = Date.now();
+
+      this.recent.forEach((entry, key) => {
+        if (now - entry.time >= CONFIG.ERROR_REPORTING.dedupeWindow) {
+          this.queueRepeats(entry);
+          this.recent.delete(key);
+        }
+      });
+      this.scheduleFlush();
+
+      // Repeats within the window are folded into the report's count while it
+      // is queued; once it has been sent they are counted and sent as an update
+      // when the window ends or the queue is next flushed
+      const previous = this.recent.get(fingerprint);
+      if (previous) {
+        if (this.queue.includes(previous.report)) {
+          previous.report.count++;
+        } else {
+          previous.repeats++;
+          if (!this.repeatTimer) {
+            this.repeatTimer = setTimeout(this.flush, previous.time + CONFIG.ERROR_REPORTING.dedupeWindow - now);
+          }
+        }
+        return;
+      }
+
+      this.sentTimes = this.sentTimes.filter(time => now - time < 60000);
+      if (this.sentTimes.length >= CONFIG.ERROR_REPORTING.maxReportsPerMinute) {
+        this.dropped++;
+        return;
+      }
+      this.sentTimes.push(now);
+
+      const report = {
+        message,
+        name: (error && error.name) || 'Error',
+        stack: stack.split('\n').slice(0, 10).join('\n'),
+        ...context,
+        url: `${window.location.origin}${window.location.pathname}`,
+        userAgent: navigator.userAgent,
+        release: CONFIG.PERFORMANCE.release,
+        timestamp: new Date(now).toISOString(),
+        count: 1
+      };
+
+      this.recent.set(fingerprint, { time: now, report, repeats: 0 });
+      this.queue.push(report);
+
+      if (this.queue.length >= CONFIG.ERROR_REPORTING.batchSize) {
+        this.flush();
+      } else {
+        this.scheduleFlush();
+      }
+    }
+
+    /**
+     * Flush after the batching delay unless a flush is already scheduled
+     */
+    scheduleFlush() {
+      if (this.queue.length > 0 && !this.timer) {
+        this.timer = setTimeout(this.flush, CONFIG.ERROR_REPORTING.flushDelay);
+      }
+    }
+
+    /**
+     * Queue a count update for repeats of an already sent report. Later
+     * repeats fold into the update while it waits in the queue.
+     * @param {Object} entry - Dedupe entry { time, report, repeats }
+     */
+    queueRepeats(entry) {
+      if (entry.repeats === 0) return;
+
+      entry.report = {
+        ...entry.report,
+        timestamp: new Date().toISOString(),
+        count: entry.repeats,
+        repeat: true
+      };
+      entry.repeats = 0;
+      this.queue.push(entry.report);
+    }
+
+    /**
+     * Send queued reports and any unsent repeat counts
+     */
+    flush() {
+      clearTimeout(this.timer);
+      clearTimeout(this.repeatTimer);
+      this.timer = null;
+      this.repeatTimer = null;
+
+      this.recent.forEach(entry => this.queueRepeats(entry));
+
+      if (this.queue.length === 0) return;
+
+      const body = JSON.stringify({
+        errors: this.queue.splice(0, this.queue.length),
+        dropped: this.dropped
+      });
+      this.dropped = 0;
+
+      try {
+        const endpoint = CONFIG.ERROR_REPORTING.endpoint;
+        const blob = new Blob([body], { type: 'application/json' });
+
+        if (!navigator.sendBeacon || !navigator.sendBeacon(endpoint, blob)) {
+          fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true
+          }).catch(error => logger('ErrorReporter').warn('Delivery failed:', error.message));
+        }
+      } catch (error) {
+        logger('ErrorReporter').warn('Delivery failed:', error.message);
+      }
+    }
+
+    /**
+     * Send pending reports before the page goes away
+     */
+    handleVisibilityChange() {
+      if (document.visibilityState === 'hidden') {
+        this.flush();
+      }
+    }
+
+    /**
+     * Flush and stop listening
+     */
+    destroy() {
+      this.flush();
+
+      window.removeEventListener('error', this.handleError);
+      window.removeEventListener('unhandledrejection', this.handleRejection);
+      document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+      window.removeEventListener('pagehide', this.flush);
+      this.recent.clear();
+      this.installed = false;
+    }
+  }
+
+  const errorReporter = new ErrorReporter();
+
+  // ============================================================================
+  // FORM SUBMISSION TRANSPORT
+  // ============================================================================
+
+  /**
+   * Error raised for non-2xx form submission responses
+   */
+  class SubmissionError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} status - HTTP status, 0 for network failures
+     * @param {Object} [fieldErrors] - Server-side field errors keyed by field name
+     */
+    constructor(message, status, fieldErrors = {}) {
+      super(message);
+      this.name = 'SubmissionError';
+      this.status = status;
+      this.fieldErrors = fieldErrors;
+    }
+
+    /**
+     * Whether trying again later might succeed
+     * @returns {boolean}
+     */
+    get isRetryable() {
+      return this.status === 0 || this.status === 408 || this.status === 429 || this.status >= 500;
+    }
+  }
+
+  /**
+   * POST JSON to an endpoint once, with a timeout
+   * @param {string} url - Endpoint URL
+   * @param {Object} payload - JSON body
+   * @returns {Promise<Object>} Parsed response body (empty object if none)
+   */
+  async function postJson(url, payload) {
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), CONFIG.FORM_SUBMISSION.timeout) : null;
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json'
+        },
+        body: JSON.stringify(payload),
+        signal: controller ? controller.signal : undefined
+      });
+    } catch (error) {
+      throw new SubmissionError(error.message || 'Network request failed', 0);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    let body = {};
+    try {
+      body = await response.json();
+    } catch (error) {
+      body = {};
+    }
+
+    if (!response.ok) {
+      throw new SubmissionError(
+        (body && body.message) || `Request failed with status ${response.status}`,
+        response.status,
+        (body && body.errors) || {}
+      );
+    }
+
+    return body || {};
+  }
+
+  /**
+   * POST JSON, retrying network and server failures with exponential backoff
+   * @param {string} url - Endpoint URL
+   * @param {Object} payload - JSON body
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async function postJsonWithRetry(url, payload) {
+    const { maxRetries, retryBaseDelay } = CONFIG.FORM_SUBMISSION;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await postJson(url, payload);
+      } catch (error) {
+        if (!error.isRetryable || attempt >= maxRetries || !navigator.onLine) {
+          throw error;
+        }
+
+        // 1s, 2s, 4s… plus jitter so queued clients don't retry in lockstep
+        const wait = retryBaseDelay * Math.pow(2, attempt) + Math.random() * retryBaseDelay;
+        logger('FormSubmission').warn(`Attempt ${attempt + 1} failed (${error.message}), retrying in ${Math.round(wait)}ms`);
+        await delay(wait);
+      }
+    }
+  }
+
+  class SubmissionQueue {
+    constructor() {
+      this.dbPromise = null;
+    }
+
+    /**
+     * Whether IndexedDB is available for queueing
+     * @returns {boolean}
+     */
+    isSupported() {
+      return 'indexedDB' in window;
+    }
+
+    /**
+     * Open (and upgrade) the queue database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+      if (this.dbPromise) return this.dbPromise;
+
+      const { queueDbName, queueStoreName } = CONFIG.FORM_SUBMISSION;
+
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(queueDbName, 1);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(queueStoreName)) {
+            db.createObjectStore(queueStoreName, { keyPath: 'id', autoIncrement: true });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // Allow a later retry if opening failed
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+
+      return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the queue store
+     * @param {IDBTransactionMode} mode - Transaction mode
+     * @param {Function} operation - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async run(mode, operation) {
+      const db = await this.open();
+      const storeName = CONFIG.FORM_SUBMISSION.queueStoreName;
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    }
+
+    /**
+     * Queue a submission
+     * @param {Object} entry - { url, payload, form }
+     * @returns {Promise<number>} Queue entry ID
+     */
+    add(entry) {
+      return this.run('readwrite', store => store.add({ ...entry, queuedAt: new Date().toISOString() }));
+    }
+
+    /**
+     * Get all queued submissions, oldest first
+     * @returns {Promise<Object[]>}
+     */
+    getAll() {
+      return this.run('readonly', store => store.getAll());
+    }
+
+    /**
+     * Remove a queued submission
+     * @param {number} id - Queue entry ID
+     * @returns {Promise<void>}
+     */
+    remove(id) {
+      return this.run('readwrite', store => store.delete(id));
+    }
+  }
+
+  // ============================================================================
+  // LAZY LOADING IMPLEMENTATION
+  // ============================================================================
+
+  class LazyLoader {
+    constructor() {
+      this.observer = null;
+      this.images = [];
+      this.loadedCount = 0;
+      this.errorCount = 0;
+      this.unsubscribeCatalog = null;
+    }
+
+    /**
+     * Initialize lazy loading with Intersection Observer
+     */
+    init() {
+      const startTime = performance.now();
+
+      try {
+        // Product cards are rendered after the catalog loads
+        this.unsubscribeCatalog = events.on('catalog:loaded', ({ grid }) => {
+          if (grid) this.observe(grid);
+        });
+
+        // Check for Intersection Observer support
+        if (!('IntersectionObserver' in window)) {
+          logger('LazyLoader').warn('IntersectionObserver not supported, loading all images');
+          this.loadAllImages();
+          return;
+        }
+
+        this.images = Array.from(document.querySelectorAll(SELECTORS.lazyImages));
+        
+        if (this.images.length === 0) {
+          logger('LazyLoader').info('No lazy-loadable images found');
+          return;
+        }
+
+        this.createObserver();
+
+        this.images.forEach(img => {
+          this.prepareImage(img);
+          this.observer.observe(img);
+        });
+
+        logPerformance('LazyLoader initialized', startTime);
+        logger('LazyLoader').debug(`Observing ${this.images.length} images`);
+      } catch (error) {
+        logError('LazyLoader initialization', error);
+        this.loadAllImages();
+      }
+    }
+
+    /**
+     * Create the shared Intersection Observer
+     */
+    createObserver() {
+      this.observer = new IntersectionObserver(
+        this.handleIntersection.bind(this),
+        {
+          rootMargin: CONFIG.LAZY_LOAD.rootMargin,
+          threshold: CONFIG.LAZY_LOAD.threshold
+        }
+      );
+    }
+
+    /**
+     * Start lazy loading images added to the DOM after initialization
+     * @param {ParentNode} root - Container holding the new images
+     */
+    observe(root) {
+      const images = Array.from(root.querySelectorAll(SELECTORS.lazyImages))
+        .filter(img => !this.images.includes(img));
+
+      if (images.length === 0) return;
+
+      if (!('IntersectionObserver' in window)) {
+        images.forEach(img => this.loadImage(img));
+        return;
+      }
+
+      if (!this.observer) {
+        this.createObserver();
+      }
+
+      images.forEach(img => {
+        this.prepareImage(img);
+        this.observer.observe(img);
+        this.images.push(img);
+      });
+
+      logger('LazyLoader').debug(`Observing ${images.length} additional images`);
+    }
+
+    /**
+     * Mark an image as loading and show its blur-up placeholder, if the image
+     * build provided one, behind it until the full image fades in
+     * @param {HTMLImageElement} img - Image element
+     */
+    prepareImage(img) {
+      img.classList.add(CONFIG.LAZY_LOAD.loadingClass);
+
+      const container = img.closest('picture') || img.parentElement;
+      if (!img.dataset.placeholder || !container) return;
+
+      container.style.setProperty('--lazy-placeholder', `url("${img.dataset.placeholder}")`);
+      container.classList.add(CONFIG.LAZY_LOAD.placeholderClass);
+    }
+
+    /**
+     * Handle intersection observer callback
+     * @param {IntersectionObserverEntry[]} entries - Observed entries
+     */
+    handleIntersection(entries) {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          this.loadImage(entry.target);
+          this.observer.unobserve(entry.target);
+        }
+      });
+    }
+
+    /**
+     * Load individual image
+     * @param {HTMLImageElement} img - Image element
+     */
+    loadImage(img) {
+      const startTime = performance.now();
+
+      // Handle picture element sources
+      const picture = img.closest('picture');
+      if (picture) {
+        const sources = picture.querySelectorAll('source');
+        sources.forEach(source => {
+          if (source.dataset.srcset) {
+            source.srcset = source.dataset.srcset;
+            source.removeAttribute('data-srcset');
+          }
+        });
+      }
+
+      // Load main image
+      const originalSrc = img.src;
+      
+      img.addEventListener('load', () => {
+        img.classList.remove(CONFIG.LAZY_LOAD.loadingClass);
+        img.classList.add(CONFIG.LAZY_LOAD.loadedClass);
+        this.loadedCount++;
+        logPerformance(`Image loaded: ${img.alt || 'unnamed'}`, startTime);
+      }, { once: true });
+
+      img.addEventListener('error', () => {
+        img.classList.remove(CONFIG.LAZY_LOAD.loadingClass);
+        img.classList.add(CONFIG.LAZY_LOAD.errorClass);
+        this.errorCount++;
+        logError('Image loading failed', new Error(`Failed to load: ${originalSrc}`));
+      }, { once: true });
+
+      // Trigger load if src is already set, otherwise it will load naturally
+      if (img.complete && img.naturalHeight !== 0) {
+        img.dispatchEvent(new Event('load'));
+      }
+    }
+
+    /**
+     * Fallback: Load all images immediately
+     */
+    loadAllImages() {
       const images = document.querySelectorAll(SELECTORS.lazyImages);
       images.forEach(img => {
         img.loading = 'eager';
@@ -240,804 +2344,6706 @@
     }
 
     /**
-     * Cleanup observer
+     * Cleanup observer
+     */
+    destroy() {
+      if (this.observer) {
+        this.observer.disconnect();
+        this.observer = null;
+      }
+
+      if (this.unsubscribeCatalog) {
+        this.unsubscribeCatalog();
+        this.unsubscribeCatalog = null;
+      }
+    }
+  }
+
+  // ============================================================================
+  // SMOOTH SCROLLING NAVIGATION
+  // ============================================================================
+
+  class SmoothScroll {
+    constructor() {
+      this.links = [];
+      this.skipLink = null;
+
+      this.handleClick = this.handleClick.bind(this);
+    }
+
+    /**
+     * Initialize smooth scrolling for navigation links
+     */
+    init() {
+      try {
+        this.links = Array.from(document.querySelectorAll(SELECTORS.navLinks));
+        
+        if (this.links.length === 0) {
+          logger('SmoothScroll').info('No navigation links found');
+          return;
+        }
+
+        this.links.forEach(link => {
+          link.addEventListener('click', this.handleClick);
+        });
+
+        // Handle skip link
+        this.skipLink = document.querySelector(SELECTORS.skipLink);
+        if (this.skipLink) {
+          this.skipLink.addEventListener('click', this.handleClick);
+        }
+
+        logger('SmoothScroll').info(`Initialized for ${this.links.length} links`);
+      } catch (error) {
+        logError('SmoothScroll initialization', error);
+      }
+    }
+
+    /**
+     * Handle navigation link click
+     * @param {Event} event - Click event
+     */
+    handleClick(event) {
+      const href = event.currentTarget.getAttribute('href');
+      
+      if (!href || !href.startsWith('#')) return;
+
+      const targetId = href.substring(1);
+      const targetElement = document.getElementById(targetId);
+
+      if (!targetElement) {
+        logger('SmoothScroll').warn(`Target element not found: ${targetId}`);
+        return;
+      }
+
+      event.preventDefault();
+
+      try {
+        // Use native smooth scroll if supported
+        if ('scrollBehavior' in document.documentElement.style) {
+          targetElement.scrollIntoView(CONFIG.SMOOTH_SCROLL);
+        } else {
+          // Fallback for older browsers
+          targetElement.scrollIntoView();
+        }
+
+        // Update URL without triggering navigation
+        if (history.pushState) {
+          history.pushState(null, '', href);
+        }
+
+        // Set focus for accessibility
+        targetElement.setAttribute('tabindex', '-1');
+        targetElement.focus({ preventScroll: true });
+        
+        // Remove tabindex after focus
+        targetElement.addEventListener('blur', () => {
+          targetElement.removeAttribute('tabindex');
+        }, { once: true });
+
+      } catch (error) {
+        logError('SmoothScroll navigation', error);
+      }
+    }
+
+    /**
+     * Cleanup event listeners
+     */
+    destroy() {
+      this.links.forEach(link => {
+        link.removeEventListener('click', this.handleClick);
+      });
+
+      if (this.skipLink) {
+        this.skipLink.removeEventListener('click', this.handleClick);
+        this.skipLink = null;
+      }
+    }
+  }
+
+  // ============================================================================
+  // SCROLL SPY
+  // ============================================================================
+
+  class ScrollSpy {
+    constructor() {
+      this.links = [];
+      this.sections = [];
+      this.visible = new Set();
+      this.observer = null;
+      this.activeId = undefined;
+      // Keep an incoming hash until restoreFromHash() has scrolled to it
+      this.restored = !window.location.hash;
+      this.unsubscribeCatalog = null;
+    }
+
+    /**
+     * Initialize section tracking for header and footer navigation
+     */
+    init() {
+      try {
+        // The product grid shifts the layout, so wait for it before jumping
+        this.unsubscribeCatalog = events.on('catalog:loaded', () => this.restoreFromHash());
+
+        if (!('IntersectionObserver' in window)) {
+          logger('ScrollSpy').info('IntersectionObserver not supported');
+          return;
+        }
+
+        this.links = Array.from(document.querySelectorAll(SELECTORS.spyLinks))
+          .filter(link => this.getLinkTarget(link) !== undefined);
+        this.sections = Array.from(document.querySelectorAll(SELECTORS.spySections));
+
+        if (this.sections.length === 0) {
+          logger('ScrollSpy').info('No sections to track');
+          return;
+        }
+
+        this.observer = new IntersectionObserver(this.handleIntersection.bind(this), {
+          rootMargin: CONFIG.SCROLL_SPY.rootMargin
+        });
+        this.sections.forEach(section => this.observer.observe(section));
+
+        logger('ScrollSpy').info(`Tracking ${this.sections.length} sections`);
+      } catch (error) {
+        logError('ScrollSpy initialization', error);
+      }
+    }
+
+    /**
+     * Section id a link points at: null for the home link, undefined for
+     * links that are not part of the page outline
+     * @param {HTMLAnchorElement} link - Navigation link
+     * @returns {string|null|undefined} Section id
+     */
+    getLinkTarget(link) {
+      const href = link.getAttribute('href') || '';
+
+      if (href === '/' || href === '#' || href === '#main') return null;
+      if (href.startsWith('#') && href.length > 1) return href.substring(1);
+
+      return undefined;
+    }
+
+    /**
+     * Track which sections cross the viewport middle
+     * @param {IntersectionObserverEntry[]} entries - Observer entries
+     */
+    handleIntersection(entries) {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          this.visible.add(entry.target.id);
+        } else {
+          this.visible.delete(entry.target.id);
+        }
+      });
+
+      // First visible section in document order; none means the hero is in view
+      const current = this.sections.find(section => this.visible.has(section.id));
+      this.setActive(current ? current.id : null);
+    }
+
+    /**
+     * Highlight links for a section and reflect it in the URL
+     * @param {string|null} id - Section id, or null for the top of the page
+     */
+    setActive(id) {
+      if (id === this.activeId) return;
+      this.activeId = id;
+
+      this.links.forEach(link => {
+        const isActive = this.getLinkTarget(link) === id;
+        link.classList.toggle(CONFIG.SCROLL_SPY.activeClass, isActive);
+
+        if (isActive) {
+          link.setAttribute('aria-current', id ? 'location' : 'page');
+        } else {
+          link.removeAttribute('aria-current');
+        }
+      });
+
+      this.updateHash(id);
+    }
+
+    /**
+     * Replace the URL hash without adding history entries
+     * @param {string|null} id - Section id
+     */
+    updateHash(id) {
+      // Leave product detail routes alone
+      if (!this.restored || CONFIG.PRODUCT_DETAIL.hashPattern.test(window.location.hash)) return;
+
+      const hash = id ? `#${id}` : '';
+      if (window.location.hash === hash) return;
+
+      history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}${hash}`);
+    }
+
+    /**
+     * Jump back to the section in the URL once dynamic content has loaded
+     * and shifted the layout
+     */
+    restoreFromHash() {
+      const id = window.location.hash.substring(1);
+      const section = this.sections.find(element => element.id === id);
+
+      this.restored = true;
+
+      if (!section) return;
+
+      section.scrollIntoView({ block: 'start' });
+      this.setActive(id);
+    }
+
+    /**
+     * Cleanup observer
+     */
+    destroy() {
+      if (this.observer) {
+        this.observer.disconnect();
+        this.observer = null;
+      }
+
+      if (this.unsubscribeCatalog) {
+        this.unsubscribeCatalog();
+        this.unsubscribeCatalog = null;
+      }
+
+      this.visible.clear();
+    }
+  }
+
+  // ============================================================================
+  // MOBILE MENU FUNCTIONALITY
+  // ============================================================================
+
+  class MobileMenu {
+    constructor() {
+      this.toggle = null;
+      this.menu = null;
+      this.isOpen = false;
+      this.createdToggle = false;
+
+      this.toggleMenu = this.toggleMenu.bind(this);
+      this.handleResize = debounce(this.onResize.bind(this), CONFIG.DEBOUNCE_DELAY);
+      this.handleOutsideClick = this.handleOutsideClick.bind(this);
+      this.handleKeydown = this.handleKeydown.bind(this);
+      this.handleMenuClick = this.handleMenuClick.bind(this);
+    }
+
+    /**
+     * Initialize mobile menu
+     */
+    init() {
+      try {
+        this.menu = document.querySelector(SELECTORS.mobileMenu);
+        
+        if (!this.menu) {
+          logger('MobileMenu').info('Navigation menu not found');
+          return;
+        }
+
+        // Create mobile menu toggle button if it doesn't exist
+        this.toggle = document.querySelector(SELECTORS.mobileMenuToggle);
+        if (!this.toggle) {
+          this.createToggleButton();
+        }
+
+        this.setupEventListeners();
+        this.updateMenuState();
+
+        logger('MobileMenu').info('Initialized');
+      } catch (error) {
+        logError('MobileMenu initialization', error);
+      }
+    }
+
+    /**
+     * Create mobile menu toggle button
+     */
+    createToggleButton() {
+      this.toggle = document.createElement('button');
+      this.toggle.type = 'button';
+      this.toggle.className = 'mobile-menu-toggle';
+      this.toggle.setAttribute('aria-label', t('menu.toggle'));
+      this.toggle.setAttribute('aria-expanded', 'false');
+      this.toggle.setAttribute('aria-controls', 'main-navigation');
+      
+      // Create hamburger icon
+      this.toggle.innerHTML = `
+        <span class="menu-icon" aria-hidden="true">
+          <span></span>
+          <span></span>
+          <span></span>
+        </span>
+      `;
+
+      // Insert before navigation
+      this.menu.parentNode.insertBefore(this.toggle, this.menu);
+      this.createdToggle = true;
+      
+      // Add ID to menu for aria-controls
+      if (!this.menu.id) {
+        this.menu.id = 'main-navigation';
+      }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+      if (this.toggle) {
+        this.toggle.addEventListener('click', this.toggleMenu);
+      }
+
+      window.addEventListener('resize', this.handleResize);
+      
+      // Close menu when clicking outside
+      document.addEventListener('click', this.handleOutsideClick);
+      
+      // Escape, focus trap and arrow-key navigation
+      document.addEventListener('keydown', this.handleKeydown);
+
+      // Close menu once a link is chosen
+      this.menu.addEventListener('click', this.handleMenuClick);
+    }
+
+    /**
+     * Whether the collapsible layout is active
+     * @returns {boolean}
+     */
+    isMobile() {
+      return window.innerWidth < CONFIG.MOBILE_BREAKPOINT;
+    }
+
+    /**
+     * Toggle menu open/closed
+     */
+    toggleMenu() {
+      if (this.isOpen) {
+        this.close();
+      } else {
+        this.open();
+      }
+    }
+
+    /**
+     * Open the menu and move focus to the first link
+     */
+    open() {
+      if (!this.isMobile()) return;
+
+      this.isOpen = true;
+      this.updateMenuState();
+
+      const [firstLink] = this.getLinks();
+      if (firstLink) {
+        firstLink.focus();
+      }
+    }
+
+    /**
+     * Close the menu
+     * @param {Object} [options]
+     * @param {boolean} [options.returnFocus=true] - Move focus back to the toggle
+     */
+    close({ returnFocus = true } = {}) {
+      if (!this.isOpen) return;
+
+      this.isOpen = false;
+      this.updateMenuState();
+
+      if (returnFocus && this.toggle) {
+        this.toggle.focus();
+      }
+    }
+
+    /**
+     * Update menu state and attributes
+     */
+    updateMenuState() {
+      const isMobile = this.isMobile();
+      
+      if (!isMobile) {
+        this.isOpen = false;
+      }
+
+      const isHidden = !this.isOpen && isMobile;
+
+      if (this.toggle) {
+        this.toggle.setAttribute('aria-expanded', this.isOpen.toString());
+        this.toggle.classList.toggle('active', this.isOpen);
+      }
+
+      if (this.menu) {
+        this.menu.classList.toggle('mobile-menu-open', this.isOpen);
+        this.menu.setAttribute('aria-hidden', isHidden.toString());
+        // inert keeps the collapsed links out of the tab order
+        this.menu.inert = isHidden;
+      }
+
+      // Prevent body scroll when menu is open
+      document.body.style.overflow = (this.isOpen && isMobile) ? 'hidden' : '';
+    }
+
+    /**
+     * Links in the menu list, in order
+     * @returns {HTMLAnchorElement[]}
+     */
+    getLinks() {
+      return Array.from(this.menu.querySelectorAll(':scope > ul a[href]'));
+    }
+
+    /**
+     * Handle window resize
+     */
+    onResize() {
+      this.updateMenuState();
+    }
+
+    /**
+     * Handle clicks outside menu
+     * @param {Event} event - Click event
+     */
+    handleOutsideClick(event) {
+      if (!this.isOpen) return;
+      
+      const isClickInside = this.menu.contains(event.target) || 
+                           (this.toggle && this.toggle.contains(event.target));
+      
+      if (!isClickInside) {
+        this.close({ returnFocus: false });
+      }
+    }
+
+    /**
+     * Close after a link is selected; focus follows the link target
+     * @param {MouseEvent} event - Click event
+     */
+    handleMenuClick(event) {
+      if (this.isOpen && event.target.closest('a[href]')) {
+        this.close({ returnFocus: false });
+      }
+    }
+
+    /**
+     * Keyboard model while the menu is open: Escape closes, Tab cycles
+     * between the toggle and the menu, arrows/Home/End move between links
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeydown(event) {
+      if (!this.isOpen) return;
+
+      if (event.key === 'Escape') {
+        this.close();
+        return;
+      }
+
+      if (event.key === 'Tab') {
+        this.trapFocus(event);
+        return;
+      }
+
+      const links = this.getLinks();
+      const index = links.indexOf(document.activeElement);
+      if (index === -1) return;
+
+      let next = null;
+
+      switch (event.key) {
+        case 'ArrowDown':
+        case 'ArrowRight':
+          next = links[(index + 1) % links.length];
+          break;
+        case 'ArrowUp':
+        case 'ArrowLeft':
+          next = links[(index - 1 + links.length) % links.length];
+          break;
+        case 'Home':
+          next = links[0];
+          break;
+        case 'End':
+          next = links[links.length - 1];
+          break;
+        default:
+          return;
+      }
+
+      event.preventDefault();
+      next.focus();
+    }
+
+    /**
+     * Keep Tab focus inside the toggle and open menu
+     * @param {KeyboardEvent} event - Tab keydown
+     */
+    trapFocus(event) {
+      const focusable = [this.toggle]
+        .concat(Array.from(this.menu.querySelectorAll(SELECTORS.focusable)))
+        .filter(Boolean);
+
+      if (focusable.length === 0) return;
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const inside = focusable.includes(document.activeElement);
+
+      if (event.shiftKey && (document.activeElement === first || !inside)) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && (document.activeElement === last || !inside)) {
+        event.preventDefault();
+        first.focus();
+      }
+    }
+
+    /**
+     * Cleanup event listeners and restore the menu so init() can run again
+     */
+    destroy() {
+      if (this.toggle) {
+        this.toggle.removeEventListener('click', this.toggleMenu);
+      }
+      if (this.menu) {
+        this.menu.removeEventListener('click', this.handleMenuClick);
+        this.menu.classList.remove('mobile-menu-open');
+        this.menu.removeAttribute('aria-hidden');
+        this.menu.inert = false;
+      }
+      window.removeEventListener('resize', this.handleResize);
+      document.removeEventListener('click', this.handleOutsideClick);
+      document.removeEventListener('keydown', this.handleKeydown);
+
+      if (this.createdToggle && this.toggle) {
+        this.toggle.remove();
+      }
+
+      document.body.style.overflow = '';
+      this.isOpen = false;
+      this.createdToggle = false;
+      this.toggle = null;
+      this.menu = null;
+    }
+  }
+
+  // ============================================================================
+  // THEME
+  // ============================================================================
+
+  const THEME_ICONS = {
+    light: '<circle cx="12" cy="12" r="4" fill="none" stroke="currentColor" stroke-width="2"/><path d="M12 2v2M12 20v2M4.9 4.9l1.4 1.4M17.7 17.7l1.4 1.4M2 12h2M20 12h2M4.9 19.1l1.4-1.4M17.7 6.3l1.4-1.4" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>',
+    dark: '<path d="M20 14.5A8 8 0 0 1 9.5 4a8 8 0 1 0 10.5 10.5z" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/>',
+    system: '<rect x="3" y="4" width="18" height="12" rx="2" fill="none" stroke="currentColor" stroke-width="2"/><path d="M8 20h8M12 16v4" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>'
+  };
+
+  class ThemeController {
+    constructor() {
+      this.theme = 'system';
+      this.toggle = null;
+      this.mediaQuery = null;
+      this.metas = [];
+
+      this.cycle = this.cycle.bind(this);
+      this.handleSystemChange = this.handleSystemChange.bind(this);
+    }
+
+    /**
+     * Read the saved theme, sync the page and add the header toggle. The
+     * inline script in <head> has already set data-theme before first paint.
+     */
+    init() {
+      try {
+        this.mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        this.mediaQuery.addEventListener('change', this.handleSystemChange);
+
+        // Remember each theme-color meta's original value and media query
+        this.metas = Array.from(document.querySelectorAll('meta[name="theme-color"]')).map(meta => ({
+          meta,
+          content: meta.getAttribute('content'),
+          media: meta.getAttribute('media')
+        }));
+
+        this.theme = this.getSavedTheme();
+        this.apply();
+        this.createToggleButton();
+
+        logger('Theme').info(`Theme: ${this.theme}`);
+      } catch (error) {
+        logError('Theme initialization', error);
+      }
+    }
+
+    /**
+     * @returns {string} Saved theme, or 'system'
+     */
+    getSavedTheme() {
+      try {
+        const saved = localStorage.getItem(CONFIG.THEME.storageKey);
+        return CONFIG.THEME.options.includes(saved) ? saved : 'system';
+      } catch (error) {
+        logger('Theme').warn('Saved theme unavailable:', error);
+        return 'system';
+      }
+    }
+
+    /**
+     * Theme actually shown, resolving 'system' against the OS setting
+     * @returns {string} 'light' or 'dark'
+     */
+    getResolvedTheme() {
+      if (this.theme !== 'system') return this.theme;
+      return this.mediaQuery && this.mediaQuery.matches ? 'dark' : 'light';
+    }
+
+    /**
+     * Choose a theme and remember it
+     * @param {string} theme - 'light', 'dark' or 'system'
+     */
+    setTheme(theme) {
+      if (!CONFIG.THEME.options.includes(theme)) {
+        logger('Theme').warn(`Unknown theme: ${theme}`);
+        return;
+      }
+
+      this.theme = theme;
+
+      try {
+        if (theme === 'system') {
+          localStorage.removeItem(CONFIG.THEME.storageKey);
+        } else {
+          localStorage.setItem(CONFIG.THEME.storageKey, theme);
+        }
+      } catch (error) {
+        logError('Theme persistence', error);
+      }
+
+      this.apply();
+      this.dispatch();
+    }
+
+    /**
+     * Move to the next theme in CONFIG.THEME.options
+     */
+    cycle() {
+      const { options } = CONFIG.THEME;
+      this.setTheme(options[(options.indexOf(this.theme) + 1) % options.length]);
+    }
+
+    /**
+     * Set data-theme and the theme-color metas
+     */
+    apply() {
+      const root = document.documentElement;
+
+      if (this.theme === 'system') {
+        delete root.dataset.theme;
+      } else {
+        root.dataset.theme = this.theme;
+      }
+
+      // An explicit theme overrides the OS preference, so every meta gets that
+      // theme's color; 'system' restores the media-matched originals
+      const forced = this.theme === 'system'
+        ? null
+        : this.metas.find(({ media }) => media && media.includes(this.theme));
+
+      this.metas.forEach(({ meta, content }) => {
+        meta.setAttribute('content', forced ? forced.content : content);
+      });
+
+      this.updateToggle();
+    }
+
+    /**
+     * Tell other modules the theme changed
+     */
+    dispatch() {
+      const detail = { theme: this.theme, resolved: this.getResolvedTheme() };
+
+      document.dispatchEvent(new CustomEvent('shoestore:themechange', { detail }));
+      events.emit('theme:change', detail);
+    }
+
+    /**
+     * The OS setting only matters while following the system theme
+     */
+    handleSystemChange() {
+      if (this.theme === 'system') {
+        this.dispatch();
+      }
+    }
+
+    /**
+     * Create the header theme button
+     */
+    createToggleButton() {
+      const header = document.querySelector(SELECTORS.headerContainer);
+      if (!header) return;
+
+      this.toggle = document.createElement('button');
+      this.toggle.type = 'button';
+      this.toggle.className = 'theme-toggle';
+      this.toggle.addEventListener('click', this.cycle);
+
+      header.appendChild(this.toggle);
+      this.updateToggle();
+    }
+
+    /**
+     * Show the current theme's icon and label
+     */
+    updateToggle() {
+      if (!this.toggle) return;
+
+      const label = t('theme.toggle', { theme: t(`theme.${this.theme}`) });
+
+      this.toggle.dataset.theme = this.theme;
+      this.toggle.setAttribute('aria-label', label);
+      this.toggle.title = label;
+      this.toggle.innerHTML = `
+        <svg class="theme-icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24" width="24" height="24">
+          ${THEME_ICONS[this.theme]}
+        </svg>
+      `;
+    }
+
+    /**
+     * Remove the toggle and listeners; the chosen theme stays applied
+     */
+    destroy() {
+      if (this.mediaQuery) {
+        this.mediaQuery.removeEventListener('change', this.handleSystemChange);
+        this.mediaQuery = null;
+      }
+
+      if (this.toggle) {
+        this.toggle.removeEventListener('click', this.cycle);
+        this.toggle.remove();
+        this.toggle = null;
+      }
+    }
+  }
+
+  // ============================================================================
+  // FORM VALIDATION
+  // ============================================================================
+
+  /*
+   * Any form with [data-validate] is validated from its fields' attributes:
+   *   required / aria-required, type="email" / type="tel", minlength, maxlength,
+   *   pattern, data-match="otherFieldName", data-validate="validatorName …",
+   *   data-label and data-message-<rule> (e.g. data-message-min-length).
+   * Schemas registered with registerSchema() can add the same field rules plus
+   * cross-field rules: { fields: { name: {...} }, rules: [{ field, validate, message }] }.
+   */
+  class FormValidator {
+    constructor() {
+      this.forms = [];
+      this.listeners = [];
+      this.validators = new Map();
+      this.pending = new Map();
+      this.schemas = new Map([
+        [SELECTORS.contactForm, {
+          fields: {
+            name: { minLength: CONFIG.FORM_VALIDATION.minNameLength },
+            subject: { minLength: CONFIG.FORM_VALIDATION.minSubjectLength },
+            message: { minLength: CONFIG.FORM_VALIDATION.minMessageLength }
+          }
+        }]
+      ]);
+      this.queue = new SubmissionQueue();
+      this.flushing = false;
+      this.handleOnline = this.flushQueue.bind(this);
+    }
+
+    /**
+     * Initialize form validation
+     */
+    init() {
+      try {
+        const forms = document.querySelectorAll(SELECTORS.validatedForms);
+        forms.forEach(form => this.setupForm(form));
+
+        // Send anything queued while offline
+        window.addEventListener('online', this.handleOnline);
+        if (navigator.onLine) {
+          this.flushQueue();
+        }
+
+        logger('FormValidator').info(`Initialized for ${forms.length} forms`);
+      } catch (error) {
+        logError('FormValidator initialization', error);
+      }
+    }
+
+    /**
+     * Register a named validator usable from schemas and data-validate attributes.
+     * The function receives (value, field, form) and returns true, false or an
+     * error message string, or a Promise resolving to one of those.
+     * @param {string} name - Validator name
+     * @param {Function} validator - Validation function
+     * @param {string} [message] - Default error message
+     */
+    addValidator(name, validator, message) {
+      this.validators.set(name, { validate: validator, message });
+    }
+
+    /**
+     * Register a validation schema for forms matching a selector
+     * @param {string} selector - Form selector
+     * @param {Object} schema - { fields: { [name]: rules }, rules: [crossFieldRule] }
+     */
+    registerSchema(selector, schema) {
+      this.schemas.set(selector, schema);
+
+      document.querySelectorAll(selector).forEach(form => {
+        if (!this.forms.includes(form)) {
+          this.setupForm(form);
+        }
+      });
+    }
+
+    /**
+     * Setup form with validation
+     * @param {HTMLFormElement} form - Form element
+     * @param {Object} [options]
+     * @param {Function} [options.onValid] - Called instead of handleFormSubmit once valid
+     */
+    setupForm(form, { onValid } = {}) {
+      if (this.forms.includes(form)) return;
+
+      this.forms.push(form);
+
+      // JS takes over from native constraint validation
+      form.noValidate = true;
+
+      const onBlur = event => {
+        if (this.isValidatable(event.target)) {
+          this.validateField(event.target);
+        }
+      };
+
+      const onInput = event => {
+        if (this.isValidatable(event.target)) {
+          this.clearFieldError(event.target);
+        }
+      };
+
+      const onSubmit = async event => {
+        event.preventDefault();
+
+        if (await this.validateForm(form)) {
+          if (onValid) {
+            onValid(form);
+          } else {
+            this.handleFormSubmit(form);
+          }
+        }
+      };
+
+      // Blur doesn't bubble; listen in the capture phase
+      form.addEventListener('blur', onBlur, true);
+      form.addEventListener('input', onInput);
+      form.addEventListener('submit', onSubmit);
+
+      this.listeners.push({ form, onBlur, onInput, onSubmit });
+    }
+
+    /**
+     * Whether an element takes part in validation
+     * @param {Element} element - Form control
+     * @returns {boolean}
+     */
+    isValidatable(element) {
+      return Boolean(element && element.name) &&
+        ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName) &&
+        !['submit', 'button', 'reset', 'hidden'].includes(element.type);
+    }
+
+    /**
+     * Get the schema registered for a form
+     * @param {HTMLFormElement} form - Form element
+     * @returns {Object} Schema (empty if none registered)
+     */
+    getSchema(form) {
+      for (const [selector, schema] of this.schemas) {
+        if (form.matches(selector)) return schema;
+      }
+      return {};
+    }
+
+    /**
+     * Build the effective rules for a field from its schema entry and attributes
+     * @param {HTMLElement} field - Form control
+     * @returns {Object} Rules
+     */
+    getRules(field) {
+      const schemaRules = (this.getSchema(field.form).fields || {})[field.name] || {};
+      const { dataset } = field;
+      const minLength = field.getAttribute('minlength') || dataset.minLength;
+      const maxLength = field.getAttribute('maxlength') || dataset.maxLength;
+      const pattern = field.getAttribute('pattern') || dataset.pattern;
+
+      const rules = {
+        required: field.required || field.getAttribute('aria-required') === 'true',
+        type: field.type,
+        minLength: minLength ? parseInt(minLength, 10) : undefined,
+        maxLength: maxLength ? parseInt(maxLength, 10) : undefined,
+        pattern: pattern || undefined,
+        validators: dataset.validate ? dataset.validate.split(/\s+/).filter(Boolean) : [],
+        match: dataset.match,
+        label: dataset.label,
+        messages: {}
+      };
+
+      // Per-rule message overrides, e.g. data-message-min-length="…"
+      Object.keys(dataset).forEach(key => {
+        if (key.startsWith('message') && key.length > 'message'.length) {
+          const rule = key.charAt('message'.length).toLowerCase() + key.slice('message'.length + 1);
+          rules.messages[rule] = dataset[key];
+        }
+      });
+
+      return {
+        ...rules,
+        ...schemaRules,
+        validators: rules.validators.concat(schemaRules.validators || []),
+        messages: { ...rules.messages, ...(schemaRules.messages || {}) }
+      };
+    }
+
+    /**
+     * Human-readable field label for error messages
+     * @param {HTMLElement} field - Form control
+     * @param {Object} rules - Field rules
+     * @returns {string} Label
+     */
+    getLabel(field, rules) {
+      if (rules.label) return rules.label;
+
+      const label = field.id && field.form.querySelector(`label[for="${field.id}"]`);
+      const text = label ? label.textContent.replace(/\*/g, '').trim() : '';
+
+      return text || field.name.charAt(0).toUpperCase() + field.name.slice(1);
+    }
+
+    /**
+     * Read a field's value, handling checkboxes and radio groups
+     * @param {HTMLElement} field - Form control
+     * @returns {string} Trimmed value ('' when unchecked)
+     */
+    getValue(field) {
+      if (field.type === 'checkbox') {
+        return field.checked ? field.value : '';
+      }
+
+      if (field.type === 'radio') {
+        const group = field.form.elements.namedItem(field.name);
+        return group && group.value ? group.value : '';
+      }
+
+      return String(field.value || '').trim();
+    }
+
+    /**
+     * Run a field's rules, returning the first error message
+     * @param {HTMLElement} field - Form control
+     * @returns {Promise<string|null>} Error message, or null if valid
+     */
+    async getFieldError(field) {
+      const rules = this.getRules(field);
+      const label = this.getLabel(field, rules);
+      const value = this.getValue(field);
+      const messages = rules.messages;
+      const { emailPattern, phonePattern } = CONFIG.FORM_VALIDATION;
+
+      if (!value) {
+        return rules.required ? (messages.required || t('form.required', { label })) : null;
+      }
+
+      if (rules.type === 'email' && !emailPattern.test(value)) {
+        return messages.type || t('form.invalidEmail');
+      }
+
+      if (rules.type === 'tel' && !phonePattern.test(value)) {
+        return messages.type || t('form.invalidPhone');
+      }
+
+      if (rules.minLength !== undefined && value.length < rules.minLength) {
+        return messages.minLength || t('form.minLength', { label, min: rules.minLength });
+      }
+
+      if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+        return messages.maxLength || t('form.maxLength', { label, max: rules.maxLength });
+      }
+
+      if (rules.pattern) {
+        const pattern = rules.pattern instanceof RegExp ? rules.pattern : new RegExp(`^(?:${rules.pattern})$`);
+        if (!pattern.test(value)) {
+          return messages.pattern || t('form.invalid', { field: label.toLowerCase() });
+        }
+      }
+
+      if (rules.match) {
+        const other = field.form.elements.namedItem(rules.match);
+        if (other && this.getValue(other) !== value) {
+          return messages.match || t('form.mismatch', { label, other: this.getLabel(other, this.getRules(other)) });
+        }
+      }
+
+      for (const entry of rules.validators) {
+        const validator = typeof entry === 'function' ? { validate: entry } : this.validators.get(entry);
+
+        if (!validator) {
+          logger('FormValidator').warn(`Unknown validator: ${entry}`);
+          continue;
+        }
+
+        const result = await validator.validate(value, field, field.form);
+        if (result !== true && result !== undefined) {
+          return typeof result === 'string' ? result : (messages[entry] || validator.message || t('form.check', { field: label.toLowerCase() }));
+        }
+      }
+
+      return null;
+    }
+
+    /**
+     * Validate individual field
+     * @param {HTMLElement} field - Form control
+     * @returns {Promise<boolean>} Validation result
+     */
+    async validateField(field) {
+      if (!field || !this.isValidatable(field)) return true;
+
+      // Ignore results from a slower, superseded async check
+      const token = Symbol('validation');
+      this.pending.set(field, token);
+
+      let error;
+      try {
+        error = await this.getFieldError(field);
+      } catch (exception) {
+        logError('Field validation', exception);
+        error = null;
+      }
+
+      if (this.pending.get(field) !== token) return !error;
+      this.pending.delete(field);
+
+      if (error) {
+        this.showFieldError(field, error);
+        return false;
+      }
+
+      this.clearFieldError(field);
+      return true;
+    }
+
+    /**
+     * Validate every field plus the schema's cross-field rules
+     * @param {HTMLFormElement} form - Form element
+     * @returns {Promise<boolean>} Validation result
+     */
+    async validateForm(form) {
+      const fields = Array.from(form.elements).filter(field => this.isValidatable(field));
+
+      // Validate radio groups once
+      const seen = new Set();
+      const unique = fields.filter(field => {
+        if (field.type !== 'radio') return true;
+        if (seen.has(field.name)) return false;
+        seen.add(field.name);
+        return true;
+      });
+
+      const results = await Promise.all(unique.map(field => this.validateField(field)));
+      let isValid = results.every(Boolean);
+
+      const crossFieldRules = this.getSchema(form).rules || [];
+      const values = {};
+      unique.forEach(field => {
+        values[field.name] = this.getValue(field);
+      });
+
+      for (const rule of crossFieldRules) {
+        const target = form.elements.namedItem(rule.field);
+        if (target && target.getAttribute('aria-invalid') === 'true') continue;
+
+        const result = await rule.validate(values, form);
+        if (result !== true) {
+          isValid = false;
+          if (target) {
+            this.showFieldError(target, typeof result === 'string' ? result : rule.message);
+          }
+        }
+      }
+
+      if (!isValid) {
+        const invalid = Array.from(form.querySelectorAll('[aria-invalid="true"]'));
+        if (invalid.length > 0) {
+          invalid[0].focus();
+        }
+
+        events.emit('form:invalid', { form, fields: invalid.map(field => field.name) });
+      }
+
+      return isValid;
+    }
+
+    /**
+     * Show field error
+     * @param {HTMLElement} field - Input field
+     * @param {string} message - Error message
+     */
+    showFieldError(field, message) {
+      const formField = field.closest('.form-field');
+      if (!formField) return;
+
+      // Remove existing error
+      this.clearFieldError(field);
+
+      // Add error class
+      formField.classList.add('field-error');
+      field.setAttribute('aria-invalid', 'true');
+
+      // Create error message
+      const errorId = `${field.id}-error`;
+      const errorElement = document.createElement('span');
+      errorElement.id = errorId;
+      errorElement.className = 'field-error-message';
+      errorElement.textContent = message;
+      errorElement.setAttribute('role', 'alert');
+
+      formField.appendChild(errorElement);
+      field.setAttribute('aria-describedby', errorId);
+    }
+
+    /**
+     * Clear field error
+     * @param {HTMLElement} field - Input field
+     */
+    clearFieldError(field) {
+      const formField = field.closest('.form-field');
+      if (!formField) return;
+
+      formField.classList.remove('field-error');
+      field.removeAttribute('aria-invalid');
+      field.removeAttribute('aria-describedby');
+
+      const errorElement = formField.querySelector('.field-error-message');
+      if (errorElement) {
+        errorElement.remove();
+      }
+    }
+
+    /**
+     * Handle form submission
+     * @param {HTMLFormElement} form - Form element
+     */
+    async handleFormSubmit(form) {
+      if (form.getAttribute('aria-busy') === 'true') return;
+
+      const startTime = performance.now();
+      const url = form.action;
+
+      // Raw values: the server and queue store text, escaping happens where markup is built
+      const formData = new FormData(form);
+      const data = {};
+
+      formData.forEach((value, key) => {
+        data[key] = typeof value === 'string' ? value.trim() : value;
+      });
+
+      if (!navigator.onLine) {
+        await this.queueSubmission(form, url, data);
+        return;
+      }
+
+      this.setLoading(form, true);
+
+      try {
+        const response = await postJsonWithRetry(url, data);
+
+        // Let feature modules take over the success state
+        const submitted = new CustomEvent('shoestore:formsubmitted', {
+          cancelable: true,
+          detail: { data, response }
+        });
+
+        // Show success message
+        if (form.dispatchEvent(submitted)) {
+          this.showFormSuccess(form);
+        }
+
+        events.emit('form:submitted', { form, data, response });
+
+        // Reset form
+        form.reset();
+
+        logPerformance('Form submission', startTime);
+      } catch (error) {
+        if (error.status === 0 && !navigator.onLine) {
+          await this.queueSubmission(form, url, data);
+        } else if (!this.applyServerErrors(form, error.fieldErrors)) {
+          logError('Form submission', error);
+          this.showFormError(form, t('form.error'));
+        }
+      } finally {
+        this.setLoading(form, false);
+      }
+    }
+
+    /**
+     * Toggle the submit button's loading state
+     * @param {HTMLFormElement} form - Form element
+     * @param {boolean} isLoading - Whether a request is in flight
+     */
+    setLoading(form, isLoading) {
+      const button = form.querySelector('[type="submit"]');
+
+      form.setAttribute('aria-busy', String(isLoading));
+
+      if (!button) return;
+
+      if (isLoading) {
+        button.dataset.originalText = button.textContent;
+        button.textContent = t('form.sending', {}, CONFIG.FORM_SUBMISSION.loadingText);
+      } else if (button.dataset.originalText) {
+        button.textContent = button.dataset.originalText;
+        delete button.dataset.originalText;
+      }
+
+      button.disabled = isLoading;
+      button.classList.toggle(CONFIG.FORM_SUBMISSION.loadingClass, isLoading);
+    }
+
+    /**
+     * Show server-side field errors (e.g. {errors: {email: "..."}}) on their fields
+     * @param {HTMLFormElement} form - Form element
+     * @param {Object} fieldErrors - Messages keyed by field name
+     * @returns {boolean} Whether any error was mapped onto a field
+     */
+    applyServerErrors(form, fieldErrors) {
+      if (!fieldErrors || typeof fieldErrors !== 'object') return false;
+
+      let firstField = null;
+
+      Object.keys(fieldErrors).forEach(name => {
+        const field = form.elements.namedItem(name);
+        if (!field || typeof field.closest !== 'function') return;
+
+        const message = Array.isArray(fieldErrors[name]) ? fieldErrors[name][0] : fieldErrors[name];
+        this.showFieldError(field, String(message));
+        firstField = firstField || field;
+      });
+
+      if (firstField) {
+        firstField.focus();
+        return true;
+      }
+
+      return false;
+    }
+
+    /**
+     * Store a submission in IndexedDB to send when back online
+     * @param {HTMLFormElement} form - Form element
+     * @param {string} url - Endpoint URL
+     * @param {Object} data - Form payload
+     */
+    async queueSubmission(form, url, data) {
+      if (!this.queue.isSupported()) {
+        this.showFormError(form, t('form.offline'));
+        return;
+      }
+
+      try {
+        await this.queue.add({ url, payload: data, form: form.className });
+        form.reset();
+        this.showFormMessage(form, t('form.queued'), 'form-info');
+        logger('FormValidator').info('Submission queued for later delivery');
+      } catch (error) {
+        logError('Form submission queue', error);
+        this.showFormError(form, t('form.error'));
+      }
+    }
+
+    /**
+     * Send queued submissions, oldest first
+     */
+    async flushQueue() {
+      if (this.flushing || !this.queue.isSupported()) return;
+
+      this.flushing = true;
+
+      try {
+        const entries = await this.queue.getAll();
+
+        for (const entry of entries) {
+          try {
+            await postJsonWithRetry(entry.url, entry.payload);
+            await this.queue.remove(entry.id);
+            logger('FormValidator').debug(`Delivered queued submission ${entry.id}`);
+          } catch (error) {
+            if (error.isRetryable) {
+              // Still unreachable; keep the rest for the next 'online' event
+              break;
+            }
+
+            // The server rejected it outright; retrying won't help
+            logError('Queued form submission rejected', error);
+            await this.queue.remove(entry.id);
+          }
+        }
+      } catch (error) {
+        logError('Form submission queue flush', error);
+      } finally {
+        this.flushing = false;
+      }
+    }
+
+    /**
+     * Show form success message
+     * @param {HTMLFormElement} form - Form element
+     */
+    showFormSuccess(form) {
+      this.showFormMessage(form, t('form.success'), 'form-success');
+    }
+
+    /**
+     * Show a polite status message above the form
+     * @param {HTMLFormElement} form - Form element
+     * @param {string} text - Message text
+     * @param {string} variant - Modifier class, e.g. "form-success"
+     */
+    showFormMessage(form, text, variant) {
+      const message = document.createElement('div');
+      message.className = `form-message ${variant}`;
+      message.textContent = text;
+      message.setAttribute('role', 'status');
+      message.setAttribute('aria-live', 'polite');
+
+      form.insertAdjacentElement('beforebegin', message);
+
+      setTimeout(() => {
+        message.remove();
+      }, 5000);
+    }
+
+    /**
+     * Show form error message
+     * @param {HTMLFormElement} form - Form element
+     * @param {string} errorMessage - Error message
+     */
+    showFormError(form, errorMessage) {
+      const message = document.createElement('div');
+      message.className = 'form-message form-error';
+      message.textContent = errorMessage;
+      message.setAttribute('role', 'alert');
+      message.setAttribute('aria-live', 'assertive');
+
+      form.insertAdjacentElement('beforebegin', message);
+
+      setTimeout(() => {
+        message.remove();
+      }, 5000);
+    }
+
+    /**
+     * Cleanup event listeners
+     */
+    destroy() {
+      window.removeEventListener('online', this.handleOnline);
+
+      this.listeners.forEach(({ form, onBlur, onInput, onSubmit }) => {
+        form.removeEventListener('blur', onBlur, true);
+        form.removeEventListener('input', onInput);
+        form.removeEventListener('submit', onSubmit);
+      });
+
+      this.listeners = [];
+      this.forms = [];
+    }
+  }
+
+  // ============================================================================
+  // PERFORMANCE OPTIMIZATION
+  // ============================================================================
+
+  class PerformanceOptimizer {
+    constructor() {
+      this.metrics = {
+        loadTime: 0,
+        domContentLoaded: 0,
+        firstPaint: 0,
+        firstContentfulPaint: 0,
+        timeToFirstByte: 0,
+        largestContentfulPaint: 0,
+        lcpElement: null,
+        cumulativeLayoutShift: 0,
+        clsSources: [],
+        interactionToNextPaint: 0,
+        inpTarget: null
+      };
+      this.observers = [];
+      this.interactions = new Map();
+      this.shiftSession = { value: 0, entries: [] };
+      this.pageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+      this.unsubscribeConsent = null;
+
+      this.handleLoad = this.handleLoad.bind(this);
+      this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+      this.finalize = this.finalize.bind(this);
+    }
+
+    /**
+     * Initialize performance monitoring
+     */
+    init() {
+      try {
+        if (CONFIG.PERFORMANCE.enableMetrics) {
+          this.measureNavigation();
+          this.observeWebVitals();
+
+          document.addEventListener('visibilitychange', this.handleVisibilityChange);
+          window.addEventListener('pagehide', this.finalize);
+        }
+
+        this.optimizeResources();
+
+        logger('PerformanceOptimizer').info('Initialized');
+      } catch (error) {
+        logError('PerformanceOptimizer initialization', error);
+      }
+    }
+
+    /**
+     * Read navigation timing once the load event has finished
+     */
+    measureNavigation() {
+      if (document.readyState === 'complete') {
+        // loadEventEnd is only set after load handlers return
+        setTimeout(this.handleLoad, 0);
+      } else {
+        window.addEventListener('load', () => setTimeout(this.handleLoad, 0), { once: true });
+      }
+    }
+
+    /**
+     * Record load, DOMContentLoaded and TTFB from the navigation entry
+     */
+    handleLoad() {
+      if (!window.performance || !window.performance.getEntriesByType) return;
+
+      const [navigation] = window.performance.getEntriesByType('navigation');
+      if (!navigation) return;
+
+      const activationStart = navigation.activationStart || 0;
+
+      this.metrics.loadTime = Math.max(navigation.loadEventEnd - activationStart, 0);
+      this.metrics.domContentLoaded = Math.max(navigation.domContentLoadedEventEnd - activationStart, 0);
+      this.metrics.timeToFirstByte = Math.max(navigation.responseStart - activationStart, 0);
+
+      logger('Performance').debug('Page load time:', this.metrics.loadTime.toFixed(0) + 'ms');
+      logger('Performance').debug('DOM content loaded:', this.metrics.domContentLoaded.toFixed(0) + 'ms');
+      logger('Performance').debug('Time to first byte:', this.metrics.timeToFirstByte.toFixed(0) + 'ms');
+
+      events.emit('performance:load', this.getMetrics());
+    }
+
+    /**
+     * Start a buffered PerformanceObserver for one entry type
+     * @param {string} type - Entry type
+     * @param {Function} callback - Receives each entry
+     * @param {Object} [options] - Extra observe() options
+     */
+    observe(type, callback, options = {}) {
+      const supported = window.PerformanceObserver && PerformanceObserver.supportedEntryTypes;
+      if (!supported || !supported.includes(type)) return;
+
+      try {
+        const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+        observer.observe({ type, buffered: true, ...options });
+        this.observers.push({ observer, callback });
+      } catch (error) {
+        logError(`PerformanceObserver (${type})`, error);
+      }
+    }
+
+    /**
+     * Observe paint, LCP, layout shift and interaction entries
+     */
+    observeWebVitals() {
+      this.observe('paint', entry => {
+        if (entry.name === 'first-paint') {
+          this.metrics.firstPaint = entry.startTime;
+        } else if (entry.name === 'first-contentful-paint') {
+          this.metrics.firstContentfulPaint = entry.startTime;
+          logger('Performance').debug('First contentful paint:', entry.startTime.toFixed(2) + 'ms');
+        }
+      });
+
+      this.observe('largest-contentful-paint', entry => {
+        this.metrics.largestContentfulPaint = entry.startTime;
+        this.metrics.lcpElement = entry.element ? getElementSelector(entry.element) : null;
+      });
+
+      this.observe('layout-shift', entry => this.recordLayoutShift(entry));
+
+      this.observe('event', entry => this.recordInteraction(entry), { durationThreshold: 40 });
+      this.observe('first-input', entry => this.recordInteraction(entry));
+    }
+
+    /**
+     * Add a layout shift to the current session window. CLS is the worst
+     * window: shifts less than 1s apart, spanning at most 5s.
+     * @param {PerformanceEntry} entry - layout-shift entry
+     */
+    recordLayoutShift(entry) {
+      if (entry.hadRecentInput) return;
+
+      const session = this.shiftSession;
+      const first = session.entries[0];
+      const last = session.entries[session.entries.length - 1];
+
+      if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+        session.value += entry.value;
+        session.entries.push(entry);
+      } else {
+        this.shiftSession = { value: entry.value, entries: [entry] };
+      }
+
+      if (this.shiftSession.value > this.metrics.cumulativeLayoutShift) {
+        this.metrics.cumulativeLayoutShift = this.shiftSession.value;
+        this.metrics.clsSources = this.getShiftSources(this.shiftSession.entries);
+      }
+    }
+
+    /**
+     * Elements that moved the most in a session window
+     * @param {PerformanceEntry[]} entries - layout-shift entries
+     * @returns {Array<{selector: string, value: number}>}
+     */
+    getShiftSources(entries) {
+      const sources = new Map();
+
+      entries.forEach(entry => {
+        (entry.sources || []).forEach(source => {
+          if (!source.node || source.node.nodeType !== Node.ELEMENT_NODE) return;
+
+          const selector = getElementSelector(source.node);
+          sources.set(selector, (sources.get(selector) || 0) + entry.value);
+        });
+      });
+
+      return Array.from(sources, ([selector, value]) => ({ selector, value }))
+        .sort((a, b) => b.value - a.value)
+        .slice(0, CONFIG.PERFORMANCE.maxShiftSources);
+    }
+
+    /**
+     * Track the longest event of each interaction and update INP
+     * @param {PerformanceEventTiming} entry - event or first-input entry
+     */
+    recordInteraction(entry) {
+      if (!entry.interactionId) return;
+
+      const previous = this.interactions.get(entry.interactionId);
+      if (previous && previous.duration >= entry.duration) return;
+
+      this.interactions.set(entry.interactionId, {
+        duration: entry.duration,
+        target: entry.target ? getElementSelector(entry.target) : null
+      });
+
+      // INP ignores one outlier per 50 interactions (roughly the 98th percentile)
+      const sorted = Array.from(this.interactions.values()).sort((a, b) => b.duration - a.duration);
+      const inp = sorted[Math.min(sorted.length - 1, Math.floor(sorted.length / 50))];
+
+      this.metrics.interactionToNextPaint = inp.duration;
+      this.metrics.inpTarget = inp.target;
+    }
+
+    /**
+     * Report when the page is hidden; it may never become visible again
+     */
+    handleVisibilityChange() {
+      if (document.visibilityState === 'hidden') {
+        this.finalize();
+      }
+    }
+
+    /**
+     * Process pending entries and send the current values
+     */
+    finalize() {
+      this.observers.forEach(({ observer, callback }) => {
+        if (typeof observer.takeRecords === 'function') {
+          observer.takeRecords().forEach(callback);
+        }
+      });
+
+      this.report();
+    }
+
+    /**
+     * Beacon Web Vitals to the configured endpoint
+     */
+    report() {
+      const endpoint = CONFIG.PERFORMANCE.reportEndpoint;
+      if (!endpoint || !navigator.sendBeacon || !hasConsentFor('analytics')) return;
+
+      const [navigation] = window.performance.getEntriesByType
+        ? window.performance.getEntriesByType('navigation')
+        : [];
+
+      const payload = {
+        id: this.pageId,
+        release: CONFIG.PERFORMANCE.release,
+        page: window.location.pathname,
+        navigationType: navigation ? navigation.type : null,
+        metrics: this.getMetrics()
+      };
+
+      navigator.sendBeacon(endpoint, new Blob([JSON.stringify(payload)], { type: 'application/json' }));
+    }
+
+    /**
+     * Optimize resource loading
+     */
+    optimizeResources() {
+      // Third-party connections wait for consent
+      this.unsubscribeConsent = onConsent('marketing', () => {
+        this.addPreconnect('https://fonts.googleapis.com');
+        this.addPreconnect('https://fonts.gstatic.com');
+      });
+
+      // Add resource hints for critical resources
+      this.addPrefetch('/assets/css/styles.css');
+    }
+
+    /**
+     * Add preconnect link
+     * @param {string} url - URL to preconnect
+     */
+    addPreconnect(url) {
+      const link = document.createElement('link');
+      link.rel = 'preconnect';
+      link.href = url;
+      link.crossOrigin = 'anonymous';
+      document.head.appendChild(link);
+    }
+
+    /**
+     * Add prefetch link
+     * @param {string} url - URL to prefetch
+     */
+    addPrefetch(url) {
+      const link = document.createElement('link');
+      link.rel = 'prefetch';
+      link.href = url;
+      document.head.appendChild(link);
+    }
+
+    /**
+     * Get performance metrics
+     * @returns {Object} Performance metrics
+     */
+    getMetrics() {
+      return {
+        ...this.metrics,
+        clsSources: this.metrics.clsSources.map(source => ({ ...source }))
+      };
+    }
+
+    /**
+     * Disconnect observers and stop waiting for consent
+     */
+    destroy() {
+      this.observers.forEach(({ observer }) => observer.disconnect());
+      this.observers = [];
+
+      document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+      window.removeEventListener('pagehide', this.finalize);
+
+      if (this.unsubscribeConsent) {
+        this.unsubscribeConsent();
+        this.unsubscribeConsent = null;
+      }
+    }
+  }
+
+  // ============================================================================
+  // RESPONSIVE IMAGES
+  // ============================================================================
+
+  let imageVariantsPromise = null;
+  const imageVariants = new Map();
+
+  /**
+   * Load the image variants manifest (once). It is generated by the image build,
+   * so in development it is missing and the plain image paths are used.
+   * @returns {Promise<void>}
+   */
+  function loadImageVariants() {
+    if (!imageVariantsPromise) {
+      imageVariantsPromise = fetch(CONFIG.CATALOG.imagesUrl, {
+        headers: { Accept: 'application/json' }
+      })
+        .then(response => (response.ok ? response.json() : {}))
+        .then(data => {
+          Object.entries(data || {}).forEach(([src, variants]) => {
+            imageVariants.set(src, variants);
+          });
+          logger('Images').debug(`Loaded variants for ${imageVariants.size} image paths`);
+        })
+        .catch(error => logger('Images').debug('No image variants manifest', error));
+    }
+
+    return imageVariantsPromise;
+  }
+
+  /**
+   * Build <picture> markup for a product image, with AVIF/WebP/JPEG srcsets
+   * when the image build generated variants for it
+   * @param {Object} image - Image record ({ src, webp, alt, width, height })
+   * @param {Object} options - Rendering options
+   * @param {string} options.alt - Fallback alt text
+   * @param {string} [options.sizes] - Overrides the manifest sizes attribute
+   * @param {boolean} [options.lazy=false] - Lazy load with a blur-up placeholder
+   * @param {string} [options.attributes=''] - Extra img attributes
+   * @returns {string} Picture HTML
+   */
+  function createPictureMarkup(image, { alt, sizes, lazy = false, attributes = '' }) {
+    const variants = imageVariants.get(image.src);
+    const width = variants ? variants.width : image.width || 400;
+    const height = variants ? variants.height : image.height || 400;
+    const imgAttributes = [
+      `src="${escapeHtml((variants && variants.src) || image.src || '')}"`,
+      `alt="${escapeHtml(image.alt || alt)}"`,
+      `width="${escapeHtml(width)}"`,
+      `height="${escapeHtml(height)}"`,
+      lazy ? 'loading="lazy"' : '',
+      'decoding="async"',
+      attributes
+    ];
+    let sources = '';
+
+    if (variants) {
+      const sizesValue = escapeHtml(sizes || variants.sizes);
+
+      sources = ['avif', 'webp']
+        .map(format => `<source type="image/${format}" srcset="${escapeHtml(variants.sources[format])}" sizes="${sizesValue}">`)
+        .join('');
+
+      imgAttributes.push(
+        `srcset="${escapeHtml(variants.sources.jpeg)}"`,
+        `sizes="${sizesValue}"`,
+        lazy && variants.placeholder ? `data-placeholder="${escapeHtml(variants.placeholder)}"` : ''
+      );
+    } else if (image.webp) {
+      sources = `<source srcset="${escapeHtml(image.webp)}" type="image/webp">`;
+    }
+
+    return `<picture>${sources}<img ${imgAttributes.filter(Boolean).join(' ')}></picture>`;
+  }
+
+  // ============================================================================
+  // PRODUCT CATALOG
+  // ============================================================================
+
+  class ProductCatalog {
+    constructor() {
+      this.grid = null;
+      this.products = [];
+      this.meta = {
+        currency: 'USD',
+        priceValidUntil: null,
+        brand: 'ShoeStore'
+      };
+      this.loaded = false;
+    }
+
+    /**
+     * Load the catalog and render the products grid
+     * @returns {Promise<void>} Resolves once the grid is rendered
+     */
+    async init() {
+      const startTime = performance.now();
+
+      try {
+        this.grid = document.querySelector(SELECTORS.productsGrid);
+
+        if (!this.grid) {
+          logger('ProductCatalog').info('Products grid not found');
+          return;
+        }
+
+        await this.load();
+        this.render();
+        this.renderJsonLd();
+
+        logPerformance('ProductCatalog initialized', startTime);
+        logger('ProductCatalog').info(`Rendered ${this.products.length} products`);
+      } catch (error) {
+        logError('ProductCatalog initialization', error);
+        this.renderError();
+      } finally {
+        if (this.grid) {
+          this.grid.removeAttribute('aria-busy');
+        }
+
+        // Sent even when loading failed so hash routes and scroll restoration still run
+        events.emit('catalog:loaded', { grid: this.grid, loaded: this.loaded });
+      }
+    }
+
+    /**
+     * Fetch and normalize the product catalog
+     */
+    async load() {
+      const [response] = await Promise.all([
+        fetch(CONFIG.CATALOG.url, {
+          headers: { Accept: 'application/json' }
+        }),
+        loadImageVariants()
+      ]);
+
+      if (!response.ok) {
+        throw new Error(`Catalog request failed with status ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      if (!data || !Array.isArray(data.products)) {
+        throw new Error('Catalog is missing a "products" array');
+      }
+
+      this.meta = {
+        currency: data.currency || this.meta.currency,
+        priceValidUntil: data.priceValidUntil || null,
+        brand: data.brand || this.meta.brand
+      };
+
+      this.products = data.products
+        .filter(product => {
+          if (!product || !product.id || !product.name) return false;
+
+          // Number(null) and Number('') are 0, so rule those out before the numeric check
+          const { price } = product;
+          if (price === null || price === '' || !Number.isFinite(Number(price))) {
+            logger('ProductCatalog').warn(`Skipping "${product.id}": missing or invalid price`, price);
+            return false;
+          }
+
+          return true;
+        })
+        .map(product => ({
+          ...product,
+          price: Number(product.price),
+          availability: product.availability || 'InStock',
+          condition: product.condition || 'NewCondition'
+        }));
+
+      this.loaded = true;
+    }
+
+    /**
+     * Render product cards into the grid
+     */
+    render() {
+      this.grid.innerHTML = this.products
+        .map(product => this.createCardMarkup(product))
+        .join('');
+    }
+
+    /**
+     * Build the markup for a single product card, including microdata
+     * @param {Object} product - Product record
+     * @returns {string} Card HTML
+     */
+    createCardMarkup(product) {
+      const price = product.price.toFixed(2);
+      const currency = this.meta.currency;
+      const image = product.image || {};
+      const priceValidUntil = this.meta.priceValidUntil
+        ? `<meta itemprop="priceValidUntil" content="${escapeHtml(this.meta.priceValidUntil)}">`
+        : '';
+
+      return `
+        <article class="product-card" role="listitem" data-product-id="${escapeHtml(product.id)}" itemscope itemtype="https://schema.org/Product">
+          <meta itemprop="sku" content="${escapeHtml(product.id)}">
+          <div class="product-image">
+            ${createPictureMarkup(image, { alt: product.name, lazy: true, attributes: 'itemprop="image"' })}
+            <button type="button" class="wishlist-button" data-wishlist-toggle="${escapeHtml(product.id)}" aria-pressed="false" aria-label="${escapeHtml(t('wishlist.save', { name: product.name }))}">
+              ${HEART_ICON}
+            </button>
+          </div>
+          <div class="product-info">
+            <h3 class="product-name" itemprop="name">${escapeHtml(product.name)}</h3>
+            <p class="product-description" itemprop="description">${escapeHtml(product.description || '')}</p>
+            <p class="product-price" aria-label="${escapeHtml(t('product.price', { price: formatCurrency(product.price, currency) }))}" itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+              ${formatPriceMarkup(product.price, currency, ` itemprop="price" content="${price}"`)}
+              <meta itemprop="priceCurrency" content="${escapeHtml(currency)}">
+              ${priceValidUntil}
+              <link itemprop="availability" href="https://schema.org/${escapeHtml(product.availability)}">
+              <link itemprop="itemCondition" href="https://schema.org/${escapeHtml(product.condition)}">
+            </p>
+            <a href="#${escapeHtml(product.id)}" class="btn btn-outline" aria-label="${escapeHtml(t('product.viewDetailsFor', { name: product.name }))}">${escapeHtml(t('product.viewDetails'))}</a>
+            <button type="button" class="btn btn-primary" data-add-to-cart="${escapeHtml(product.id)}" aria-label="${escapeHtml(t('product.addToCartFor', { name: product.name }))}">${escapeHtml(t('product.addToCart'))}</button>
+          </div>
+        </article>
+      `;
+    }
+
+    /**
+     * Write the ItemList JSON-LD block for the rendered products
+     */
+    renderJsonLd() {
+      const siteUrl = CONFIG.CATALOG.siteUrl;
+      const itemList = {
+        '@context': 'https://schema.org',
+        '@type': 'ItemList',
+        itemListElement: this.products.map((product, index) => {
+          const offer = {
+            '@type': 'Offer',
+            price: product.price.toFixed(2),
+            priceCurrency: this.meta.currency,
+            availability: `https://schema.org/${product.availability}`,
+            url: `${siteUrl}#${product.id}`,
+            itemCondition: `https://schema.org/${product.condition}`
+          };
+
+          if (this.meta.priceValidUntil) {
+            offer.priceValidUntil = this.meta.priceValidUntil;
+          }
+
+          return {
+            '@type': 'Product',
+            position: index + 1,
+            sku: product.id,
+            name: product.name,
+            description: product.description,
+            image: product.image ? `${siteUrl}/${product.image.src}` : undefined,
+            brand: {
+              '@type': 'Brand',
+              name: this.meta.brand
+            },
+            offers: offer
+          };
+        })
+      };
+
+      let script = document.getElementById(CONFIG.CATALOG.jsonLdId);
+      if (!script) {
+        script = document.createElement('script');
+        script.type = 'application/ld+json';
+        script.id = CONFIG.CATALOG.jsonLdId;
+        document.head.appendChild(script);
+      }
+
+      script.textContent = JSON.stringify(itemList, null, 2);
+    }
+
+    /**
+     * Show a fallback message when the catalog cannot be loaded
+     */
+    renderError() {
+      if (!this.grid) return;
+
+      this.grid.innerHTML = '';
+
+      const message = document.createElement('p');
+      message.className = 'products-status';
+      message.setAttribute('role', 'status');
+      message.textContent = t('catalog.unavailable');
+
+      this.grid.insertAdjacentElement('afterend', message);
+    }
+
+    /**
+     * Find a product by ID
+     * @param {string} id - Product ID
+     * @returns {Object|undefined} Product record
+     */
+    getProduct(id) {
+      return this.products.find(product => product.id === id);
+    }
+
+    /**
+     * Get all loaded products
+     * @returns {Object[]} Product records
+     */
+    getProducts() {
+      return [...this.products];
+    }
+
+    /**
+     * Remove rendered JSON-LD
+     */
+    destroy() {
+      const script = document.getElementById(CONFIG.CATALOG.jsonLdId);
+      if (script) {
+        script.remove();
+      }
+    }
+  }
+
+  // ============================================================================
+  // PRODUCT DETAIL VIEW
+  // ============================================================================
+
+  class ProductDetail {
+    /**
+     * @param {ProductCatalog} catalog - Catalog providing product records
+     */
+    constructor(catalog) {
+      this.catalog = catalog;
+      this.container = null;
+      this.dialog = null;
+      this.body = null;
+      this.currentId = null;
+      this.returnFocus = null;
+      this.pushedState = false;
+      this.unsubscribeCatalog = null;
+
+      this.handleLinkClick = this.handleLinkClick.bind(this);
+      this.handleRouteChange = this.handleRouteChange.bind(this);
+      this.handleContainerClick = this.handleContainerClick.bind(this);
+      this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    /**
+     * Initialize detail view routing
+     */
+    init() {
+      try {
+        this.createDialog();
+
+        document.addEventListener('click', this.handleLinkClick);
+        window.addEventListener('popstate', this.handleRouteChange);
+        window.addEventListener('hashchange', this.handleRouteChange);
+        this.unsubscribeCatalog = events.on('catalog:loaded', () => this.restoreFromHash());
+
+        logger('ProductDetail').info('Initialized');
+      } catch (error) {
+        logError('ProductDetail initialization', error);
+      }
+    }
+
+    /**
+     * Open the detail view if the page was loaded with a product hash
+     */
+    restoreFromHash() {
+      this.handleRouteChange();
+    }
+
+    /**
+     * Create the dialog container
+     */
+    createDialog() {
+      this.container = document.createElement('div');
+      this.container.className = 'product-detail';
+      this.container.hidden = true;
+      this.container.innerHTML = `
+        <div class="product-detail-backdrop" data-product-detail-close></div>
+        <div class="product-detail-dialog" role="dialog" aria-modal="true" aria-labelledby="product-detail-title" tabindex="-1">
+          <button type="button" class="product-detail-close" aria-label="${escapeHtml(t('detail.close'))}" data-product-detail-close>
+            <span aria-hidden="true">&times;</span>
+          </button>
+          <div class="product-detail-body"></div>
+        </div>
+      `;
+
+      this.dialog = this.container.querySelector('.product-detail-dialog');
+      this.body = this.container.querySelector('.product-detail-body');
+
+      this.container.addEventListener('click', this.handleContainerClick);
+      this.container.addEventListener('keydown', this.handleKeydown);
+
+      document.body.appendChild(this.container);
+    }
+
+    /**
+     * Extract a product ID from a URL hash
+     * @param {string} hash - Location hash
+     * @returns {string|null} Product ID
+     */
+    parseHash(hash) {
+      const match = CONFIG.PRODUCT_DETAIL.hashPattern.exec(hash || '');
+      return match ? match[1] : null;
+    }
+
+    /**
+     * Handle clicks on "View Details" links
+     * @param {MouseEvent} event - Click event
+     */
+    handleLinkClick(event) {
+      const link = event.target.closest(SELECTORS.productDetailLinks);
+      if (!link) return;
+
+      const href = link.getAttribute('href');
+      const productId = this.parseHash(href);
+      if (!productId || !this.catalog.getProduct(productId)) return;
+
+      event.preventDefault();
+      this.show(productId, link);
+    }
+
+    /**
+     * Open a product's detail view and add a history entry for it
+     * @param {string} productId - Product ID
+     * @param {HTMLElement} [trigger] - Element to refocus on close
+     */
+    show(productId, trigger) {
+      if (!this.catalog.getProduct(productId)) return;
+
+      // Update URL without triggering navigation, as SmoothScroll does
+      if (history.pushState && this.parseHash(window.location.hash) !== productId) {
+        history.pushState({ productId }, '', `#${productId}`);
+        this.pushedState = true;
+      }
+
+      this.open(productId, trigger);
+    }
+
+    /**
+     * Sync the dialog with the current URL (back/forward, deep links)
+     */
+    handleRouteChange() {
+      const productId = this.parseHash(window.location.hash);
+
+      if (productId && this.catalog.getProduct(productId)) {
+        if (productId !== this.currentId) {
+          this.open(productId);
+        }
+      } else if (this.currentId) {
+        this.pushedState = false;
+        this.close({ updateHistory: false });
+      }
+    }
+
+    /**
+     * Open the detail view for a product
+     * @param {string} productId - Product ID
+     * @param {HTMLElement} [trigger] - Element to refocus on close
+     */
+    open(productId, trigger) {
+      const product = this.catalog.getProduct(productId);
+      if (!product) {
+        logger('ProductDetail').warn(`Product not found: ${productId}`);
+        return;
+      }
+
+      if (!this.currentId) {
+        this.returnFocus = trigger || document.activeElement;
+      }
+
+      this.currentId = productId;
+      this.body.innerHTML = this.createDetailMarkup(product);
+      this.container.hidden = false;
+      document.body.classList.add(CONFIG.PRODUCT_DETAIL.openClass);
+      document.body.style.overflow = 'hidden';
+
+      this.dialog.focus();
+      events.emit('product:view', { product });
+    }
+
+    /**
+     * Close the detail view
+     * @param {Object} [options]
+     * @param {boolean} [options.updateHistory=true] - Remove the product hash from the URL
+     */
+    close({ updateHistory = true } = {}) {
+      if (!this.currentId) return;
+
+      this.currentId = null;
+      this.container.hidden = true;
+      this.body.innerHTML = '';
+      document.body.classList.remove(CONFIG.PRODUCT_DETAIL.openClass);
+      document.body.style.overflow = '';
+
+      if (updateHistory) {
+        if (this.pushedState) {
+          // Consume the entry we pushed so Back doesn't reopen the dialog
+          this.pushedState = false;
+          history.back();
+        } else if (history.replaceState) {
+          history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+      }
+
+      if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+        this.returnFocus.focus();
+      }
+      this.returnFocus = null;
+    }
+
+    /**
+     * Build detail view markup
+     * @param {Object} product - Product record
+     * @returns {string} Detail HTML
+     */
+    createDetailMarkup(product) {
+      const image = product.image || {};
+      const currency = this.catalog.meta.currency;
+
+      const sizes = (product.sizes || []).map(({ size, inStock }) => `
+        <li class="product-detail-size${inStock ? '' : ' is-unavailable'}">
+          ${escapeHtml(size)}${inStock ? '' : `<span class="sr-only"> ${escapeHtml(t('detail.outOfStock'))}</span>`}
+        </li>
+      `).join('');
+
+      const colors = (product.colors || [])
+        .map(color => `<li>${escapeHtml(color)}</li>`)
+        .join('');
+
+      const materials = (product.materials || [])
+        .map(material => `<li>${escapeHtml(material)}</li>`)
+        .join('');
+
+      return `
+        <div class="product-detail-media">
+          ${createPictureMarkup(image, { alt: product.name, sizes: '(min-width: 768px) 50vw, 100vw' })}
+        </div>
+        <div class="product-detail-info">
+          <h2 id="product-detail-title">${escapeHtml(product.name)}</h2>
+          <p class="product-price" aria-label="${escapeHtml(t('product.price', { price: formatCurrency(product.price, currency) }))}">
+            ${formatPriceMarkup(product.price, currency)}
+          </p>
+          <p class="product-detail-description">${escapeHtml(product.details || product.description || '')}</p>
+          ${sizes ? `<h3>${escapeHtml(t('detail.sizes'))}</h3><ul class="product-detail-sizes" role="list">${sizes}</ul>` : ''}
+          ${colors ? `<h3>${escapeHtml(t('detail.colors'))}</h3><ul class="product-detail-list" role="list">${colors}</ul>` : ''}
+          ${materials ? `<h3>${escapeHtml(t('detail.materials'))}</h3><ul class="product-detail-list" role="list">${materials}</ul>` : ''}
+        </div>
+      `;
+    }
+
+    /**
+     * Close when clicking the backdrop or close button
+     * @param {MouseEvent} event - Click event
+     */
+    handleContainerClick(event) {
+      if (event.target.closest('[data-product-detail-close]')) {
+        this.close();
+      }
+    }
+
+    /**
+     * Handle Escape and keep Tab focus inside the dialog
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeydown(event) {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        this.close();
+        return;
+      }
+
+      trapFocus(this.dialog, event);
+    }
+
+    /**
+     * Cleanup listeners and dialog
+     */
+    destroy() {
+      document.removeEventListener('click', this.handleLinkClick);
+      window.removeEventListener('popstate', this.handleRouteChange);
+      window.removeEventListener('hashchange', this.handleRouteChange);
+
+      if (this.unsubscribeCatalog) {
+        this.unsubscribeCatalog();
+        this.unsubscribeCatalog = null;
+      }
+
+      if (this.container) {
+        this.container.remove();
+        this.container = null;
+      }
+
+      if (this.currentId) {
+        document.body.classList.remove(CONFIG.PRODUCT_DETAIL.openClass);
+        document.body.style.overflow = '';
+        this.currentId = null;
+      }
+    }
+  }
+
+  // ============================================================================
+  // SHOPPING CART
+  // ============================================================================
+
+  class Cart {
+    /**
+     * @param {ProductCatalog} catalog - Catalog providing product records
+     */
+    constructor(catalog) {
+      this.catalog = catalog;
+      this.items = [];
+      this.isOpen = false;
+      this.toggle = null;
+      this.badge = null;
+      this.container = null;
+      this.panel = null;
+      this.list = null;
+      this.subtotal = null;
+      this.status = null;
+      this.returnFocus = null;
+      this.unsubscribeCatalog = null;
+
+      this.handleAddClick = this.handleAddClick.bind(this);
+      this.handleContainerClick = this.handleContainerClick.bind(this);
+      this.handleItemChange = this.handleItemChange.bind(this);
+      this.handleKeydown = this.handleKeydown.bind(this);
+      this.handleStorage = this.handleStorage.bind(this);
+      this.toggleDrawer = this.toggleDrawer.bind(this);
+    }
+
+    /**
+     * Initialize cart UI and restore persisted items
+     */
+    init() {
+      try {
+        this.items = this.load();
+        this.createToggleButton();
+        this.createDrawer();
+
+        document.addEventListener('click', this.handleAddClick);
+        window.addEventListener('storage', this.handleStorage);
+        this.unsubscribeCatalog = events.on('catalog:loaded', () => this.syncWithCatalog());
+
+        this.render();
+
+        logger('Cart').info(`Initialized with ${this.getCount()} items`);
+      } catch (error) {
+        logError('Cart initialization', error);
+      }
+    }
+
+    /**
+     * Create the header cart button and badge
+     */
+    createToggleButton() {
+      const header = document.querySelector(SELECTORS.headerContainer);
+      if (!header) return;
+
+      this.toggle = document.createElement('button');
+      this.toggle.type = 'button';
+      this.toggle.className = 'cart-toggle';
+      this.toggle.setAttribute('aria-controls', 'cart-drawer');
+      this.toggle.setAttribute('aria-expanded', 'false');
+      this.toggle.innerHTML = `
+        <svg class="cart-icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24" width="24" height="24">
+          <path d="M3 4h2l2.4 11.2a1 1 0 0 0 1 .8h9.2a1 1 0 0 0 1-.8L20 8H6.2" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+          <circle cx="9" cy="20" r="1.5" fill="currentColor"/>
+          <circle cx="17" cy="20" r="1.5" fill="currentColor"/>
+        </svg>
+        <span class="cart-badge" aria-hidden="true">0</span>
+      `;
+
+      this.badge = this.toggle.querySelector('.cart-badge');
+      this.toggle.addEventListener('click', this.toggleDrawer);
+
+      header.appendChild(this.toggle);
+    }
+
+    /**
+     * Create the slide-out cart drawer
+     */
+    createDrawer() {
+      this.container = document.createElement('div');
+      this.container.className = 'cart-drawer';
+      this.container.hidden = true;
+      this.container.innerHTML = `
+        <div class="cart-drawer-backdrop" data-cart-close></div>
+        <div class="cart-drawer-panel" id="cart-drawer" role="dialog" aria-modal="true" aria-labelledby="cart-drawer-title" tabindex="-1">
+          <div class="cart-drawer-header">
+            <h2 id="cart-drawer-title">${escapeHtml(t('cart.title'))}</h2>
+            <button type="button" class="cart-drawer-close" aria-label="${escapeHtml(t('cart.close'))}" data-cart-close>
+              <span aria-hidden="true">&times;</span>
+            </button>
+          </div>
+          <ul class="cart-items" role="list"></ul>
+          <div class="cart-drawer-footer">
+            <p class="cart-subtotal">
+              <span>${escapeHtml(t('cart.subtotal'))}</span>
+              <span class="cart-subtotal-amount">$0.00</span>
+            </p>
+            <p class="cart-note">${escapeHtml(t('cart.note'))}</p>
+          </div>
+        </div>
+        <p class="sr-only" role="status" aria-live="polite"></p>
+      `;
+
+      this.panel = this.container.querySelector('.cart-drawer-panel');
+      this.list = this.container.querySelector('.cart-items');
+      this.subtotal = this.container.querySelector('.cart-subtotal-amount');
+      this.status = this.container.querySelector('[role="status"]');
+
+      this.container.addEventListener('click', this.handleContainerClick);
+      this.container.addEventListener('change', this.handleItemChange);
+      this.container.addEventListener('keydown', this.handleKeydown);
+
+      document.body.appendChild(this.container);
+    }
+
+    /**
+     * Read persisted cart items
+     * @returns {Object[]} Cart items
+     */
+    load() {
+      try {
+        const stored = JSON.parse(localStorage.getItem(CONFIG.CART.storageKey) || '[]');
+        if (!Array.isArray(stored)) return [];
+
+        return stored
+          .filter(item => item && typeof item.productId === 'string')
+          .map(item => ({
+            productId: item.productId,
+            size: item.size ? String(item.size) : null,
+            quantity: this.clampQuantity(item.quantity)
+          }));
+      } catch (error) {
+        logError('Cart storage read', error);
+        return [];
+      }
+    }
+
+    /**
+     * Persist cart items
+     */
+    save() {
+      try {
+        localStorage.setItem(CONFIG.CART.storageKey, JSON.stringify(this.items));
+      } catch (error) {
+        logError('Cart storage write', error);
+      }
+    }
+
+    /**
+     * Drop items whose product or size no longer exists in the catalog
+     */
+    syncWithCatalog() {
+      if (!this.catalog.loaded) return;
+
+      const before = this.items.length;
+      this.items = this.items.filter(item => {
+        const product = this.catalog.getProduct(item.productId);
+        return product && (!item.size || this.getSizes(product).includes(item.size));
+      });
+
+      if (this.items.length !== before) {
+        this.save();
+      }
+
+      this.render();
+    }
+
+    /**
+     * Clamp a quantity to the allowed range
+     * @param {*} quantity - Requested quantity
+     * @returns {number} Quantity between 1 and CONFIG.CART.maxQuantity
+     */
+    clampQuantity(quantity) {
+      const value = parseInt(quantity, 10);
+      if (!Number.isFinite(value) || value < 1) return 1;
+      return Math.min(value, CONFIG.CART.maxQuantity);
+    }
+
+    /**
+     * Get the in-stock sizes for a product
+     * @param {Object} product - Product record
+     * @returns {string[]} Available sizes
+     */
+    getSizes(product) {
+      return (product.sizes || [])
+        .filter(entry => entry.inStock)
+        .map(entry => String(entry.size));
+    }
+
+    /**
+     * Find the index of a cart line
+     * @param {string} productId - Product ID
+     * @param {string|null} size - Shoe size
+     * @returns {number} Line index or -1
+     */
+    indexOf(productId, size) {
+      return this.items.findIndex(item => item.productId === productId && item.size === size);
+    }
+
+    /**
+     * Add a product to the cart
+     * @param {string} productId - Product ID
+     * @param {Object} [options]
+     * @param {string} [options.size] - Shoe size, defaults to the first in-stock size
+     * @param {number} [options.quantity=1] - Quantity to add
+     * @returns {boolean} Whether the product was added
+     */
+    add(productId, { size, quantity = 1 } = {}) {
+      const product = this.catalog.getProduct(productId);
+      if (!product) {
+        logger('Cart').warn(`Product not found: ${productId}`);
+        return false;
+      }
+
+      const sizes = this.getSizes(product);
+      if (product.sizes && sizes.length === 0) {
+        this.announce(t('cart.outOfStock', { name: product.name }));
+        return false;
+      }
+
+      const selectedSize = size !== undefined ? String(size) : (sizes[0] || null);
+      if (selectedSize && !sizes.includes(selectedSize)) {
+        logger('Cart').warn(`Size ${selectedSize} unavailable for ${productId}`);
+        return false;
+      }
+
+      const index = this.indexOf(productId, selectedSize);
+      if (index === -1) {
+        this.items.push({ productId, size: selectedSize, quantity: this.clampQuantity(quantity) });
+      } else {
+        this.items[index].quantity = this.clampQuantity(this.items[index].quantity + quantity);
+      }
+
+      this.commit();
+      this.announce(t('cart.added', { name: product.name }));
+      return true;
+    }
+
+    /**
+     * Remove a line from the cart
+     * @param {string} productId - Product ID
+     * @param {string|null} size - Shoe size
+     */
+    remove(productId, size = null) {
+      const index = this.indexOf(productId, size);
+      if (index === -1) return;
+
+      this.items.splice(index, 1);
+      this.commit();
+    }
+
+    /**
+     * Change the quantity of a line
+     * @param {string} productId - Product ID
+     * @param {string|null} size - Shoe size
+     * @param {number} quantity - New quantity; 0 removes the line
+     */
+    setQuantity(productId, size, quantity) {
+      const index = this.indexOf(productId, size);
+      if (index === -1) return;
+
+      if (parseInt(quantity, 10) <= 0) {
+        this.remove(productId, size);
+        return;
+      }
+
+      this.items[index].quantity = this.clampQuantity(quantity);
+      this.commit();
+    }
+
+    /**
+     * Change the size of a line, merging with an existing line of that size
+     * @param {string} productId - Product ID
+     * @param {string|null} size - Current size
+     * @param {string} newSize - New size
+     */
+    setSize(productId, size, newSize) {
+      const index = this.indexOf(productId, size);
+      const product = this.catalog.getProduct(productId);
+      if (index === -1 || !product || !this.getSizes(product).includes(String(newSize))) return;
+
+      const item = this.items[index];
+      const existing = this.indexOf(productId, String(newSize));
+
+      if (existing !== -1 && existing !== index) {
+        this.items[existing].quantity = this.clampQuantity(this.items[existing].quantity + item.quantity);
+        this.items.splice(index, 1);
+      } else {
+        item.size = String(newSize);
+      }
+
+      this.commit();
+    }
+
+    /**
+     * Empty the cart
+     */
+    clear() {
+      this.items = [];
+      this.commit();
+    }
+
+    /**
+     * Get cart lines with product data and line totals
+     * @returns {Object[]} Cart lines
+     */
+    getItems() {
+      return this.items
+        .map(item => {
+          const product = this.catalog.getProduct(item.productId);
+          if (!product) return null;
+
+          const unitCents = Math.round(product.price * 100);
+          return {
+            ...item,
+            name: product.name,
+            unitPrice: unitCents / 100,
+            lineTotal: (unitCents * item.quantity) / 100
+          };
+        })
+        .filter(Boolean);
+    }
+
+    /**
+     * Total number of pairs in the cart
+     * @returns {number} Item count
+     */
+    getCount() {
+      return this.items.reduce((total, item) => total + item.quantity, 0);
+    }
+
+    /**
+     * Cart subtotal in USD, summed in cents to avoid float drift
+     * @returns {number} Subtotal in dollars
+     */
+    getSubtotal() {
+      return this.getSubtotalCents() / 100;
+    }
+
+    /**
+     * Cart subtotal in cents
+     * @returns {number} Subtotal in cents
+     */
+    getSubtotalCents() {
+      return this.items.reduce((total, item) => {
+        const product = this.catalog.getProduct(item.productId);
+        return product ? total + Math.round(product.price * 100) * item.quantity : total;
+      }, 0);
+    }
+
+    /**
+     * Persist, re-render and notify listeners
+     */
+    commit() {
+      this.save();
+      this.render();
+
+      const detail = {
+        items: this.getItems(),
+        count: this.getCount(),
+        subtotal: this.getSubtotal(),
+        currency: CONFIG.CART.currency
+      };
+
+      document.dispatchEvent(new CustomEvent('shoestore:cartchange', { detail }));
+      events.emit('cart:change', detail);
+    }
+
+    /**
+     * Render badge, line items and subtotal
+     */
+    render() {
+      const count = this.getCount();
+
+      if (this.toggle) {
+        this.badge.textContent = String(count);
+        this.badge.hidden = count === 0;
+        this.toggle.setAttribute('aria-label', t('cart.toggle', { count }));
+      }
+
+      if (!this.list) return;
+
+      // Preserve focus across re-render for keyboard users
+      const active = document.activeElement;
+      const focusKey = active && this.list.contains(active)
+        ? [active.dataset.cartField, active.closest('[data-cart-line]').dataset.cartLine]
+        : null;
+
+      const lines = this.getItems();
+
+      if (lines.length === 0) {
+        this.list.innerHTML = `<li class="cart-empty">${escapeHtml(t('cart.empty'))}</li>`;
+      } else {
+        this.list.innerHTML = lines.map(line => this.createLineMarkup(line)).join('');
+      }
+
+      this.subtotal.textContent = formatPrice(this.getSubtotalCents());
+
+      if (focusKey) {
+        const line = this.list.querySelector(`[data-cart-line="${CSS.escape(focusKey[1])}"]`);
+        const field = line && line.querySelector(`[data-cart-field="${focusKey[0]}"]`);
+        if (field) field.focus();
+      }
+    }
+
+    /**
+     * Build markup for one cart line
+     * @param {Object} line - Cart line from getItems()
+     * @returns {string} Line HTML
+     */
+    createLineMarkup(line) {
+      const product = this.catalog.getProduct(line.productId);
+      const lineKey = `${line.productId}::${line.size || ''}`;
+      const idBase = `cart-${line.productId}-${line.size || 'one'}`.replace(/[^\w-]/g, '_');
+      const image = product.image || {};
+
+      const sizeOptions = this.getSizes(product)
+        .map(size => `<option value="${escapeHtml(size)}"${size === line.size ? ' selected' : ''}>${escapeHtml(size)}</option>`)
+        .join('');
+
+      const sizeField = line.size
+        ? `
+          <label for="${idBase}-size">${escapeHtml(t('cart.size'))}</label>
+          <select id="${idBase}-size" data-cart-field="size">${sizeOptions}</select>
+        `
+        : '';
+
+      return `
+        <li class="cart-item" data-cart-line="${escapeHtml(lineKey)}" data-product-id="${escapeHtml(line.productId)}" data-size="${escapeHtml(line.size || '')}">
+          <img src="${escapeHtml(image.src || '')}" alt="" width="64" height="64" class="cart-item-image">
+          <div class="cart-item-info">
+            <p class="cart-item-name">${escapeHtml(line.name)}</p>
+            <p class="cart-item-price">${formatPrice(Math.round(line.unitPrice * 100))}</p>
+            <div class="cart-item-controls">
+              ${sizeField}
+              <label for="${idBase}-qty">${escapeHtml(t('cart.quantity'))}</label>
+              <input id="${idBase}-qty" type="number" min="1" max="${CONFIG.CART.maxQuantity}" value="${line.quantity}" inputmode="numeric" data-cart-field="quantity">
+            </div>
+          </div>
+          <div class="cart-item-total">
+            <span>${formatPrice(Math.round(line.lineTotal * 100))}</span>
+            <button type="button" class="cart-item-remove" data-cart-field="remove" aria-label="${escapeHtml(t('cart.removeItem', { name: line.name }))}">${escapeHtml(t('cart.remove'))}</button>
+          </div>
+        </li>
+      `;
+    }
+
+    /**
+     * Handle "Add to Cart" buttons anywhere in the page
+     * @param {MouseEvent} event - Click event
+     */
+    handleAddClick(event) {
+      const button = event.target.closest(SELECTORS.addToCartButtons);
+      if (!button) return;
+
+      event.preventDefault();
+      this.add(button.dataset.addToCart);
+    }
+
+    /**
+     * Handle close and remove clicks inside the drawer
+     * @param {MouseEvent} event - Click event
+     */
+    handleContainerClick(event) {
+      if (event.target.closest('[data-cart-close]')) {
+        this.close();
+        return;
+      }
+
+      const removeButton = event.target.closest('[data-cart-field="remove"]');
+      if (removeButton) {
+        const line = removeButton.closest('[data-cart-line]');
+        this.remove(line.dataset.productId, line.dataset.size || null);
+        this.panel.focus();
+      }
+    }
+
+    /**
+     * Handle size and quantity edits
+     * @param {Event} event - Change event
+     */
+    handleItemChange(event) {
+      const field = event.target.dataset.cartField;
+      const line = event.target.closest('[data-cart-line]');
+      if (!field || !line) return;
+
+      const productId = line.dataset.productId;
+      const size = line.dataset.size || null;
+
+      if (field === 'quantity') {
+        this.setQuantity(productId, size, event.target.value);
+      } else if (field === 'size') {
+        this.setSize(productId, size, event.target.value);
+      }
+    }
+
+    /**
+     * Handle Escape and focus trapping in the drawer
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeydown(event) {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        this.close();
+        return;
+      }
+
+      trapFocus(this.panel, event);
+    }
+
+    /**
+     * Pick up cart changes made in other tabs
+     * @param {StorageEvent} event - Storage event
+     */
+    handleStorage(event) {
+      if (event.key !== CONFIG.CART.storageKey) return;
+
+      this.items = this.load();
+      this.render();
+    }
+
+    /**
+     * Toggle the drawer
+     */
+    toggleDrawer() {
+      if (this.isOpen) {
+        this.close();
+      } else {
+        this.open();
+      }
+    }
+
+    /**
+     * Open the drawer
+     */
+    open() {
+      if (this.isOpen || !this.container) return;
+
+      this.isOpen = true;
+      this.returnFocus = document.activeElement;
+      this.container.hidden = false;
+      document.body.classList.add(CONFIG.CART.openClass);
+      document.body.style.overflow = 'hidden';
+
+      if (this.toggle) {
+        this.toggle.setAttribute('aria-expanded', 'true');
+      }
+
+      this.panel.focus();
+    }
+
+    /**
+     * Close the drawer
+     */
+    close() {
+      if (!this.isOpen) return;
+
+      this.isOpen = false;
+      this.container.hidden = true;
+      document.body.classList.remove(CONFIG.CART.openClass);
+      document.body.style.overflow = '';
+
+      if (this.toggle) {
+        this.toggle.setAttribute('aria-expanded', 'false');
+      }
+
+      if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+        this.returnFocus.focus();
+      }
+      this.returnFocus = null;
+    }
+
+    /**
+     * Announce a cart update to screen readers
+     * @param {string} message - Message to announce
+     */
+    announce(message) {
+      if (this.status) {
+        this.status.textContent = message;
+      }
+    }
+
+    /**
+     * Cleanup listeners and UI
+     */
+    destroy() {
+      this.close();
+
+      document.removeEventListener('click', this.handleAddClick);
+      window.removeEventListener('storage', this.handleStorage);
+
+      if (this.unsubscribeCatalog) {
+        this.unsubscribeCatalog();
+        this.unsubscribeCatalog = null;
+      }
+
+      if (this.toggle) {
+        this.toggle.removeEventListener('click', this.toggleDrawer);
+        this.toggle.remove();
+        this.toggle = null;
+      }
+
+      if (this.container) {
+        this.container.remove();
+        this.container = null;
+      }
+    }
+  }
+
+  // ============================================================================
+  // WISHLIST
+  // ============================================================================
+
+  const HEART_ICON = `
+    <svg class="wishlist-icon" aria-hidden="true" focusable="false" viewBox="0 0 24 24" width="24" height="24">
+      <path d="M12 20.5s-7.5-4.6-9.4-9.1C1.2 8.1 3.3 4.5 6.8 4.5c2.1 0 3.6 1.2 5.2 3.1 1.6-1.9 3.1-3.1 5.2-3.1 3.5 0 5.6 3.6 4.2 6.9-1.9 4.5-9.4 9.1-9.4 9.1z" fill="none" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/>
+    </svg>
+  `;
+
+  class Wishlist {
+    /**
+     * @param {ProductCatalog} catalog - Catalog providing product records
+     */
+    constructor(catalog) {
+      this.catalog = catalog;
+      this.ids = [];
+      this.sharedIds = [];
+      this.isOpen = false;
+      this.toggle = null;
+      this.badge = null;
+      this.container = null;
+      this.panel = null;
+      this.list = null;
+      this.shareLink = null;
+      this.shareStatus = null;
+      this.status = null;
+      this.notice = null;
+      this.returnFocus = null;
+      this.unsubscribeCatalog = null;
+
+      this.handleToggleClick = this.handleToggleClick.bind(this);
+      this.handleContainerClick = this.handleContainerClick.bind(this);
+      this.handleNoticeClick = this.handleNoticeClick.bind(this);
+      this.handleKeydown = this.handleKeydown.bind(this);
+      this.handleStorage = this.handleStorage.bind(this);
+      this.toggleDrawer = this.toggleDrawer.bind(this);
+    }
+
+    /**
+     * Initialize wishlist UI, restore saved favorites and read a shared list
+     */
+    init() {
+      try {
+        this.ids = this.load();
+        this.sharedIds = this.readSharedIds();
+        this.createToggleButton();
+        this.createDrawer();
+
+        // Outside the drawer so heart toggles on cards are announced while it is closed
+        this.status = document.createElement('p');
+        this.status.className = 'sr-only';
+        this.status.setAttribute('role', 'status');
+        this.status.setAttribute('aria-live', 'polite');
+        document.body.appendChild(this.status);
+
+        document.addEventListener('click', this.handleToggleClick);
+        window.addEventListener('storage', this.handleStorage);
+        this.unsubscribeCatalog = events.on('catalog:loaded', () => this.syncWithCatalog());
+
+        this.render();
+
+        logger('Wishlist').info(`Initialized with ${this.ids.length} favorites`);
+      } catch (error) {
+        logError('Wishlist initialization', error);
+      }
+    }
+
+    /**
+     * Create the header wishlist button and badge, next to the cart
+     */
+    createToggleButton() {
+      const header = document.querySelector(SELECTORS.headerContainer);
+      if (!header) return;
+
+      this.toggle = document.createElement('button');
+      this.toggle.type = 'button';
+      this.toggle.className = 'wishlist-toggle';
+      this.toggle.setAttribute('aria-controls', 'wishlist-drawer');
+      this.toggle.setAttribute('aria-expanded', 'false');
+      this.toggle.innerHTML = `
+        ${HEART_ICON}
+        <span class="cart-badge" aria-hidden="true">0</span>
+      `;
+
+      this.badge = this.toggle.querySelector('.cart-badge');
+      this.toggle.addEventListener('click', this.toggleDrawer);
+
+      header.insertBefore(this.toggle, header.querySelector('.cart-toggle'));
+    }
+
+    /**
+     * Create the slide-out wishlist drawer, reusing the cart drawer layout
+     */
+    createDrawer() {
+      this.container = document.createElement('div');
+      this.container.className = 'cart-drawer wishlist-drawer';
+      this.container.hidden = true;
+      this.container.innerHTML = `
+        <div class="cart-drawer-backdrop" data-wishlist-close></div>
+        <div class="cart-drawer-panel" id="wishlist-drawer" role="dialog" aria-modal="true" aria-labelledby="wishlist-drawer-title" tabindex="-1">
+          <div class="cart-drawer-header">
+            <h2 id="wishlist-drawer-title">${escapeHtml(t('wishlist.title'))}</h2>
+            <button type="button" class="cart-drawer-close" aria-label="${escapeHtml(t('wishlist.close'))}" data-wishlist-close>
+              <span aria-hidden="true">&times;</span>
+            </button>
+          </div>
+          <ul class="cart-items" role="list"></ul>
+          <div class="cart-drawer-footer">
+            <a href="./" class="btn btn-outline wishlist-share">${escapeHtml(t('wishlist.share'))}</a>
+            <p class="cart-note">${escapeHtml(t('wishlist.shareNote'))}</p>
+            <p class="wishlist-share-status" role="status" aria-live="polite"></p>
+          </div>
+        </div>
+      `;
+
+      this.panel = this.container.querySelector('.cart-drawer-panel');
+      this.list = this.container.querySelector('.cart-items');
+      this.shareLink = this.container.querySelector('.wishlist-share');
+      this.shareStatus = this.container.querySelector('.wishlist-share-status');
+
+      this.container.addEventListener('click', this.handleContainerClick);
+      this.container.addEventListener('keydown', this.handleKeydown);
+
+      document.body.appendChild(this.container);
+    }
+
+    /**
+     * Keep unique, well-formed product IDs
+     * @param {Array} ids - Candidate IDs
+     * @returns {string[]} Product IDs
+     */
+    normalize(ids) {
+      const valid = ids
+        .filter(id => typeof id === 'string')
+        .map(id => id.trim())
+        .filter(id => /^[\w-]+$/.test(id));
+
+      return [...new Set(valid)];
+    }
+
+    /**
+     * Read saved favorites
+     * @returns {string[]} Product IDs
+     */
+    load() {
+      try {
+        const stored = JSON.parse(localStorage.getItem(CONFIG.WISHLIST.storageKey) || '[]');
+        return Array.isArray(stored) ? this.normalize(stored) : [];
+      } catch (error) {
+        logError('Wishlist storage read', error);
+        return [];
+      }
+    }
+
+    /**
+     * Persist favorites
+     */
+    save() {
+      try {
+        localStorage.setItem(CONFIG.WISHLIST.storageKey, JSON.stringify(this.ids));
+      } catch (error) {
+        logError('Wishlist storage write', error);
+      }
+    }
+
+    /**
+     * Product IDs from a shared ?wishlist=product-1,product-3 link
+     * @returns {string[]} Shared product IDs
+     */
+    readSharedIds() {
+      const value = new URLSearchParams(window.location.search).get(CONFIG.WISHLIST.param);
+      return value ? this.normalize(value.split(',')) : [];
+    }
+
+    /**
+     * Re-render once the catalog has loaded. Favorites missing from the
+     * catalog are kept, not pruned, so they come back with the product.
+     */
+    syncWithCatalog() {
+      if (!this.catalog.loaded) return;
+
+      this.render();
+      this.renderSharedNotice();
+    }
+
+    /**
+     * @param {string} productId - Product ID
+     * @returns {boolean} Whether the product is a favorite
+     */
+    has(productId) {
+      return this.ids.includes(productId);
+    }
+
+    /**
+     * Save a product to the wishlist
+     * @param {string} productId - Product ID
+     * @returns {boolean} Whether the product was added
+     */
+    add(productId) {
+      const product = this.catalog.getProduct(productId);
+      if (!product) {
+        logger('Wishlist').warn(`Product not found: ${productId}`);
+        return false;
+      }
+
+      if (this.has(productId)) return false;
+
+      this.ids.push(productId);
+      this.commit();
+      this.announce(t('wishlist.added', { name: product.name }));
+      return true;
+    }
+
+    /**
+     * Remove a product from the wishlist
+     * @param {string} productId - Product ID
+     */
+    remove(productId) {
+      const index = this.ids.indexOf(productId);
+      if (index === -1) return;
+
+      const product = this.catalog.getProduct(productId);
+
+      this.ids.splice(index, 1);
+      this.commit();
+
+      if (product) {
+        this.announce(t('wishlist.removed', { name: product.name }));
+      }
+    }
+
+    /**
+     * Add or remove a product
+     * @param {string} productId - Product ID
+     */
+    toggleItem(productId) {
+      if (this.has(productId)) {
+        this.remove(productId);
+      } else {
+        this.add(productId);
+      }
+    }
+
+    /**
+     * Favorites that exist in the current catalog, in the order they were saved
+     * @returns {Object[]} Product records
+     */
+    getItems() {
+      return this.ids
+        .map(productId => this.catalog.getProduct(productId))
+        .filter(Boolean);
+    }
+
+    /**
+     * Number of favorites shown; every saved ID counts until the catalog loads
+     * @returns {number} Favorite count
+     */
+    getCount() {
+      return this.catalog.loaded ? this.getItems().length : this.ids.length;
+    }
+
+    /**
+     * Link that opens this page with the current favorites highlighted
+     * @returns {string} Absolute URL
+     */
+    getShareUrl() {
+      const ids = this.getItems().map(product => encodeURIComponent(product.id)).join(',');
+      return `${window.location.origin}${window.location.pathname}?${CONFIG.WISHLIST.param}=${ids}#featured-products`;
+    }
+
+    /**
+     * Persist, re-render and notify listeners
+     */
+    commit() {
+      this.save();
+      this.render();
+
+      const detail = {
+        ids: [...this.ids],
+        count: this.getCount()
+      };
+
+      document.dispatchEvent(new CustomEvent('shoestore:wishlistchange', { detail }));
+      events.emit('wishlist:change', detail);
+    }
+
+    /**
+     * Render badge, card hearts, shared highlights and the drawer list
+     */
+    render() {
+      const count = this.getCount();
+
+      if (this.toggle) {
+        this.badge.textContent = String(count);
+        this.badge.hidden = count === 0;
+        this.toggle.setAttribute('aria-label', t('wishlist.toggle', { count }));
+      }
+
+      document.querySelectorAll(SELECTORS.wishlistButtons).forEach(button => {
+        const productId = button.dataset.wishlistToggle;
+        const card = button.closest('[data-product-id]');
+
+        button.setAttribute('aria-pressed', String(this.has(productId)));
+        if (card) {
+          card.classList.toggle(CONFIG.WISHLIST.sharedClass, this.sharedIds.includes(productId));
+        }
+      });
+
+      if (!this.list) return;
+
+      const items = this.getItems();
+
+      if (items.length === 0) {
+        this.list.innerHTML = `<li class="cart-empty">${escapeHtml(t('wishlist.empty'))}</li>`;
+      } else {
+        this.list.innerHTML = items.map(product => this.createItemMarkup(product)).join('');
+      }
+
+      this.shareLink.hidden = items.length === 0;
+      this.shareLink.href = this.getShareUrl();
+    }
+
+    /**
+     * Build markup for one favorite
+     * @param {Object} product - Product record
+     * @returns {string} Item HTML
+     */
+    createItemMarkup(product) {
+      const image = product.image || {};
+
+      return `
+        <li class="cart-item wishlist-item" data-product-id="${escapeHtml(product.id)}">
+          <img src="${escapeHtml(image.src || '')}" alt="" width="64" height="64" class="cart-item-image">
+          <div class="cart-item-info">
+            <p class="cart-item-name"><a href="#${escapeHtml(product.id)}">${escapeHtml(product.name)}</a></p>
+            <p class="cart-item-price">${formatPrice(Math.round(product.price * 100))}</p>
+          </div>
+          <div class="cart-item-total">
+            <button type="button" class="btn btn-primary" data-add-to-cart="${escapeHtml(product.id)}" aria-label="${escapeHtml(t('product.addToCartFor', { name: product.name }))}">${escapeHtml(t('product.addToCart'))}</button>
+            <button type="button" class="cart-item-remove" data-wishlist-field="remove" aria-label="${escapeHtml(t('wishlist.removeItem', { name: product.name }))}">${escapeHtml(t('cart.remove'))}</button>
+          </div>
+        </li>
+      `;
+    }
+
+    /**
+     * Offer to save a shared list, above the products grid
+     */
+    renderSharedNotice() {
+      const shared = this.sharedIds.filter(productId => this.catalog.getProduct(productId));
+      if (this.notice || shared.length === 0 || !this.catalog.grid) return;
+
+      this.notice = document.createElement('div');
+      this.notice.className = 'wishlist-shared';
+      this.notice.setAttribute('role', 'status');
+      this.notice.innerHTML = `
+        <p>${escapeHtml(t('wishlist.shared', { count: shared.length }))}</p>
+        <div class="wishlist-shared-actions">
+          <button type="button" class="btn btn-primary" data-wishlist-action="save">${escapeHtml(t('wishlist.saveShared'))}</button>
+          <button type="button" class="btn btn-outline" data-wishlist-action="dismiss">${escapeHtml(t('wishlist.dismissShared'))}</button>
+        </div>
+      `;
+
+      this.notice.addEventListener('click', this.handleNoticeClick);
+      this.catalog.grid.before(this.notice);
+    }
+
+    /**
+     * Add every product from the shared list to the wishlist
+     */
+    saveShared() {
+      const added = this.sharedIds.filter(productId => this.catalog.getProduct(productId) && !this.has(productId));
+
+      this.ids.push(...added);
+      this.commit();
+      this.announce(t('wishlist.savedShared', { count: added.length }));
+      this.dismissShared();
+    }
+
+    /**
+     * Stop highlighting the shared list and drop it from the URL
+     */
+    dismissShared() {
+      this.sharedIds = [];
+
+      if (this.notice) {
+        this.notice.removeEventListener('click', this.handleNoticeClick);
+        this.notice.remove();
+        this.notice = null;
+      }
+
+      replaceQueryParams(params => params.delete(CONFIG.WISHLIST.param));
+
+      this.render();
+    }
+
+    /**
+     * Share the list with the native share sheet, or copy the link. Without
+     * either, the link is followed and shows the shared view.
+     * @param {MouseEvent} event - Click event
+     */
+    async share(event) {
+      const url = this.getShareUrl();
+
+      if (navigator.share) {
+        event.preventDefault();
+
+        try {
+          await navigator.share({ title: t('wishlist.shareTitle'), url });
+        } catch (error) {
+          if (error.name !== 'AbortError') {
+            logError('Wishlist share', error);
+          }
+        }
+      } else if (navigator.clipboard && navigator.clipboard.writeText) {
+        event.preventDefault();
+
+        try {
+          await navigator.clipboard.writeText(url);
+          this.shareStatus.textContent = t('wishlist.linkCopied');
+        } catch (error) {
+          logError('Wishlist share', error);
+          window.location.assign(url);
+        }
+      }
+    }
+
+    /**
+     * Handle heart toggles anywhere in the page
+     * @param {MouseEvent} event - Click event
+     */
+    handleToggleClick(event) {
+      const button = event.target.closest(SELECTORS.wishlistButtons);
+      if (!button) return;
+
+      event.preventDefault();
+      this.toggleItem(button.dataset.wishlistToggle);
+    }
+
+    /**
+     * Handle close, remove, share and product link clicks inside the drawer.
+     * "Add to Cart" buttons are handled by the cart.
+     * @param {MouseEvent} event - Click event
+     */
+    handleContainerClick(event) {
+      if (event.target.closest('[data-wishlist-close]')) {
+        this.close();
+        return;
+      }
+
+      if (event.target.closest('.wishlist-share')) {
+        this.share(event);
+        return;
+      }
+
+      // Let the product detail dialog open from the hash change
+      if (event.target.closest(SELECTORS.productDetailLinks)) {
+        this.close();
+        return;
+      }
+
+      const removeButton = event.target.closest('[data-wishlist-field="remove"]');
+      if (removeButton) {
+        this.remove(removeButton.closest('[data-product-id]').dataset.productId);
+        this.panel.focus();
+      }
+    }
+
+    /**
+     * Handle the shared list notice buttons
+     * @param {MouseEvent} event - Click event
+     */
+    handleNoticeClick(event) {
+      const button = event.target.closest('[data-wishlist-action]');
+      if (!button) return;
+
+      if (button.dataset.wishlistAction === 'save') {
+        this.saveShared();
+      } else {
+        this.dismissShared();
+      }
+    }
+
+    /**
+     * Handle Escape and focus trapping in the drawer
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeydown(event) {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        this.close();
+        return;
+      }
+
+      trapFocus(this.panel, event);
+    }
+
+    /**
+     * Pick up wishlist changes made in other tabs
+     * @param {StorageEvent} event - Storage event
+     */
+    handleStorage(event) {
+      if (event.key !== CONFIG.WISHLIST.storageKey) return;
+
+      this.ids = this.load();
+      this.render();
+    }
+
+    /**
+     * Toggle the drawer
+     */
+    toggleDrawer() {
+      if (this.isOpen) {
+        this.close();
+      } else {
+        this.open();
+      }
+    }
+
+    /**
+     * Open the drawer
+     */
+    open() {
+      if (this.isOpen || !this.container) return;
+
+      this.isOpen = true;
+      this.returnFocus = document.activeElement;
+      this.shareStatus.textContent = '';
+      this.container.hidden = false;
+      document.body.classList.add(CONFIG.WISHLIST.openClass);
+      document.body.style.overflow = 'hidden';
+
+      if (this.toggle) {
+        this.toggle.setAttribute('aria-expanded', 'true');
+      }
+
+      this.panel.focus();
+    }
+
+    /**
+     * Close the drawer
+     */
+    close() {
+      if (!this.isOpen) return;
+
+      this.isOpen = false;
+      this.container.hidden = true;
+      document.body.classList.remove(CONFIG.WISHLIST.openClass);
+      document.body.style.overflow = '';
+
+      if (this.toggle) {
+        this.toggle.setAttribute('aria-expanded', 'false');
+      }
+
+      if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+        this.returnFocus.focus();
+      }
+      this.returnFocus = null;
+    }
+
+    /**
+     * Announce a wishlist update to screen readers
+     * @param {string} message - Message to announce
+     */
+    announce(message) {
+      if (this.status) {
+        this.status.textContent = message;
+      }
+    }
+
+    /**
+     * Cleanup listeners and UI
+     */
+    destroy() {
+      this.close();
+
+      document.removeEventListener('click', this.handleToggleClick);
+      window.removeEventListener('storage', this.handleStorage);
+
+      if (this.unsubscribeCatalog) {
+        this.unsubscribeCatalog();
+        this.unsubscribeCatalog = null;
+      }
+
+      if (this.toggle) {
+        this.toggle.removeEventListener('click', this.toggleDrawer);
+        this.toggle.remove();
+        this.toggle = null;
+      }
+
+      if (this.notice) {
+        this.notice.removeEventListener('click', this.handleNoticeClick);
+        this.notice.remove();
+        this.notice = null;
+      }
+
+      [this.container, this.status].forEach(element => element && element.remove());
+      this.container = null;
+      this.status = null;
+    }
+  }
+
+  // ============================================================================
+  // CATALOG FILTERING & SORTING
+  // ============================================================================
+
+  class CatalogFilter {
+    /**
+     * @param {ProductCatalog} catalog - Catalog whose grid is filtered
+     */
+    constructor(catalog) {
+      this.catalog = catalog;
+      this.form = null;
+      this.results = null;
+      this.emptyMessage = null;
+      this.state = this.getDefaultState();
+
+      this.handleChange = this.handleChange.bind(this);
+      this.handleReset = this.handleReset.bind(this);
+      this.handlePriceInput = debounce(this.handleChange, CONFIG.DEBOUNCE_DELAY);
+    }
+
+    /**
+     * Build the toolbar and apply any filters from the URL
+     */
+    init() {
+      try {
+        if (!this.catalog.loaded || !this.catalog.grid) {
+          logger('CatalogFilter').info('Catalog not available');
+          return;
+        }
+
+        this.state = this.readStateFromUrl();
+        this.createToolbar();
+        this.apply();
+
+        logger('CatalogFilter').info('Initialized');
+      } catch (error) {
+        logError('CatalogFilter initialization', error);
+      }
+    }
+
+    /**
+     * Default (unfiltered) state
+     * @returns {Object} Filter state
+     */
+    getDefaultState() {
+      return {
+        category: '',
+        minPrice: '',
+        maxPrice: '',
+        size: '',
+        color: '',
+        sort: 'featured'
+      };
+    }
+
+    /**
+     * Read filter state from the query string
+     * @returns {Object} Filter state
+     */
+    readStateFromUrl() {
+      const params = new URLSearchParams(window.location.search);
+      const state = this.getDefaultState();
+
+      CONFIG.CATALOG_FILTER.params.forEach(key => {
+        if (params.has(key)) {
+          state[key] = params.get(key);
+        }
+      });
+
+      if (!CONFIG.CATALOG_FILTER.sortOptions[state.sort]) {
+        state.sort = 'featured';
+      }
+
+      return state;
+    }
+
+    /**
+     * Reflect filter state in the query string
+     */
+    writeStateToUrl() {
+      const defaults = this.getDefaultState();
+
+      replaceQueryParams(params => {
+        CONFIG.CATALOG_FILTER.params.forEach(key => {
+          if (this.state[key] && this.state[key] !== defaults[key]) {
+            params.set(key, this.state[key]);
+          } else {
+            params.delete(key);
+          }
+        });
+      });
+    }
+
+    /**
+     * Collect unique, sorted facet values from the catalog
+     * @returns {Object} Facet values
+     */
+    getFacets() {
+      const products = this.catalog.getProducts();
+      const unique = values => Array.from(new Set(values));
+
+      return {
+        categories: unique(products.map(product => product.category).filter(Boolean)).sort(),
+        sizes: unique(products.flatMap(product => (product.sizes || []).map(entry => String(entry.size))))
+          .sort((a, b) => parseFloat(a) - parseFloat(b)),
+        colors: unique(products.flatMap(product => product.colors || [])).sort()
+      };
+    }
+
+    /**
+     * Build select options markup
+     * @param {string[]} values - Option values
+     * @param {string} selected - Selected value
+     * @param {Function} [label] - Label formatter
+     * @returns {string} Options HTML
+     */
+    createOptions(values, selected, label = value => value) {
+      return values
+        .map(value => `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label(value))}</option>`)
+        .join('');
+    }
+
+    /**
+     * Create the toolbar above the products grid
+     */
+    createToolbar() {
+      const facets = this.getFacets();
+      const capitalize = value => value.charAt(0).toUpperCase() + value.slice(1);
+      const categoryLabel = value => t(`filter.category.${value}`, {}, capitalize(value));
+      const sortOptions = CONFIG.CATALOG_FILTER.sortOptions;
+      const text = key => escapeHtml(t(key));
+
+      this.form = document.createElement('form');
+      this.form.className = 'catalog-toolbar';
+      this.form.setAttribute('aria-label', t('filter.label'));
+      this.form.innerHTML = `
+        <div class="catalog-toolbar-field">
+          <label for="filter-category">${text('filter.category')}</label>
+          <select id="filter-category" name="category">
+            <option value="">${text('filter.all')}</option>
+            ${this.createOptions(facets.categories, this.state.category, categoryLabel)}
+          </select>
+        </div>
+        <div class="catalog-toolbar-field catalog-toolbar-price">
+          <span class="catalog-toolbar-legend" id="filter-price-label">${escapeHtml(t('filter.price', { currency: getCurrencySymbol(this.catalog.meta.currency) }))}</span>
+          <div role="group" aria-labelledby="filter-price-label">
+            <label for="filter-min-price" class="sr-only">${text('filter.minPrice')}</label>
+            <input type="number" id="filter-min-price" name="minPrice" min="0" step="1" inputmode="numeric" placeholder="${text('filter.min')}" value="${escapeHtml(this.state.minPrice)}">
+            <label for="filter-max-price" class="sr-only">${text('filter.maxPrice')}</label>
+            <input type="number" id="filter-max-price" name="maxPrice" min="0" step="1" inputmode="numeric" placeholder="${text('filter.max')}" value="${escapeHtml(this.state.maxPrice)}">
+          </div>
+        </div>
+        <div class="catalog-toolbar-field">
+          <label for="filter-size">${text('filter.size')}</label>
+          <select id="filter-size" name="size">
+            <option value="">${text('filter.any')}</option>
+            ${this.createOptions(facets.sizes, this.state.size)}
+          </select>
+        </div>
+        <div class="catalog-toolbar-field">
+          <label for="filter-color">${text('filter.color')}</label>
+          <select id="filter-color" name="color">
+            <option value="">${text('filter.any')}</option>
+            ${this.createOptions(facets.colors, this.state.color)}
+          </select>
+        </div>
+        <div class="catalog-toolbar-field">
+          <label for="filter-sort">${text('filter.sort')}</label>
+          <select id="filter-sort" name="sort">
+            ${this.createOptions(Object.keys(sortOptions), this.state.sort, value => t(`filter.sort.${value}`, {}, sortOptions[value]))}
+          </select>
+        </div>
+        <button type="reset" class="btn btn-outline catalog-toolbar-reset">${text('filter.clear')}</button>
+        <p class="catalog-results" role="status" aria-live="polite"></p>
+      `;
+
+      this.results = this.form.querySelector('.catalog-results');
+
+      this.form.addEventListener('change', this.handleChange);
+      this.form.addEventListener('input', event => {
+        if (event.target.type === 'number') {
+          this.handlePriceInput(event);
+        }
+      });
+      this.form.addEventListener('reset', this.handleReset);
+      this.form.addEventListener('submit', event => event.preventDefault());
+
+      this.emptyMessage = document.createElement('p');
+      this.emptyMessage.className = 'products-status';
+      this.emptyMessage.textContent = t('filter.empty');
+      this.emptyMessage.hidden = true;
+
+      this.catalog.grid.insertAdjacentElement('beforebegin', this.form);
+      this.catalog.grid.insertAdjacentElement('afterend', this.emptyMessage);
+    }
+
+    /**
+     * Read the toolbar controls into state and re-apply
+     */
+    handleChange() {
+      const data = new FormData(this.form);
+
+      CONFIG.CATALOG_FILTER.params.forEach(key => {
+        this.state[key] = String(data.get(key) || '').trim();
+      });
+
+      if (!this.state.sort) {
+        this.state.sort = 'featured';
+      }
+
+      this.apply();
+    }
+
+    /**
+     * Reset all filters once the form has cleared its controls
+     */
+    handleReset() {
+      setTimeout(() => {
+        this.state = this.getDefaultState();
+        this.apply();
+      }, 0);
+    }
+
+    /**
+     * Test a product against the current filters
+     * @param {Object} product - Product record
+     * @returns {boolean} Whether the product matches
+     */
+    matches(product) {
+      const { category, minPrice, maxPrice, size, color } = this.state;
+      const min = parseFloat(minPrice);
+      const max = parseFloat(maxPrice);
+
+      if (category && product.category !== category) return false;
+      if (Number.isFinite(min) && product.price < min) return false;
+      if (Number.isFinite(max) && product.price > max) return false;
+
+      if (size && !(product.sizes || []).some(entry => String(entry.size) === size && entry.inStock)) {
+        return false;
+      }
+
+      if (color && !(product.colors || []).includes(color)) return false;
+
+      return true;
+    }
+
+    /**
+     * Sort products according to the current sort option
+     * @param {Object[]} products - Products in catalog order
+     * @returns {Object[]} Sorted products
+     */
+    sort(products) {
+      const sorted = [...products];
+
+      switch (this.state.sort) {
+        case 'price-asc':
+          return sorted.sort((a, b) => a.price - b.price);
+        case 'price-desc':
+          return sorted.sort((a, b) => b.price - a.price);
+        case 'name-asc':
+          return sorted.sort((a, b) => a.name.localeCompare(b.name, getLocaleTag()));
+        case 'name-desc':
+          return sorted.sort((a, b) => b.name.localeCompare(a.name, getLocaleTag()));
+        default:
+          return sorted;
+      }
+    }
+
+    /**
+     * Show, hide and reorder product cards for the current state
+     */
+    apply() {
+      const grid = this.catalog.grid;
+      const products = this.catalog.getProducts();
+      const visible = this.sort(products.filter(product => this.matches(product)));
+      const visibleIds = new Set(visible.map(product => product.id));
+
+      const cards = new Map(
+        Array.from(grid.querySelectorAll('[data-product-id]')).map(card => [card.dataset.productId, card])
+      );
+
+      // Visible cards first in sorted order, hidden cards after
+      const ordered = [...visible, ...products.filter(product => !visibleIds.has(product.id))];
+
+      ordered.forEach(product => {
+        const card = cards.get(product.id);
+        if (!card) return;
+
+        card.hidden = !visibleIds.has(product.id);
+        grid.appendChild(card);
+      });
+
+      this.emptyMessage.hidden = visible.length > 0;
+
+      this.results.textContent = t('filter.results', { visible: visible.length, count: products.length });
+
+      this.writeStateToUrl();
+    }
+
+    /**
+     * Get the current filter state
+     * @returns {Object} Filter state
+     */
+    getState() {
+      return { ...this.state };
+    }
+
+    /**
+     * Remove the toolbar
+     */
+    destroy() {
+      if (this.form) {
+        this.form.remove();
+        this.form = null;
+      }
+
+      if (this.emptyMessage) {
+        this.emptyMessage.remove();
+        this.emptyMessage = null;
+      }
+    }
+  }
+
+  // ============================================================================
+  // PRODUCT SEARCH
+  // ============================================================================
+
+  /**
+   * Levenshtein distance between two short strings
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} Edit distance
+   */
+  function editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      let diagonal = previous[0];
+      previous[0] = i;
+
+      for (let j = 1; j <= b.length; j++) {
+        const above = previous[j];
+        previous[j] = Math.min(
+          previous[j] + 1,
+          previous[j - 1] + 1,
+          diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        diagonal = above;
+      }
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Score how well a query token matches a piece of text
+   * @param {string} token - Lowercased query token
+   * @param {string} text - Lowercased text
+   * @returns {number} Score, 0 when there is no match
+   */
+  function fuzzyScore(token, text) {
+    if (!text) return 0;
+
+    const words = text.split(/[^a-z0-9]+/).filter(Boolean);
+
+    if (words.some(word => word.startsWith(token))) return 10;
+    if (text.includes(token)) return 7;
+
+    // Tolerate typos: one edit for short tokens, two for longer ones
+    const allowed = token.length >= 7 ? 2 : token.length >= 4 ? 1 : 0;
+    if (allowed && words.some(word => editDistance(token, word.slice(0, token.length + 1)) <= allowed)) {
+      return 4;
+    }
+
+    return 0;
+  }
+
+  class ProductSearch {
+    /**
+     * @param {ProductCatalog} catalog - Catalog to search
+     * @param {ProductDetail} productDetail - Detail view opened on selection
+     * @param {Function} [whenCatalogReady] - Returns a promise that settles once the catalog has initialized
+     */
+    constructor(catalog, productDetail, whenCatalogReady = () => Promise.resolve()) {
+      this.catalog = catalog;
+      this.productDetail = productDetail;
+      this.whenCatalogReady = whenCatalogReady;
+      this.form = null;
+      this.input = null;
+      this.listbox = null;
+      this.status = null;
+      this.suggestions = [];
+      this.activeIndex = -1;
+
+      this.handleInput = debounce(this.update.bind(this), CONFIG.DEBOUNCE_DELAY);
+      this.handleKeydown = this.handleKeydown.bind(this);
+      this.handleSubmit = this.handleSubmit.bind(this);
+      this.handleBlur = this.handleBlur.bind(this);
+      this.handleOptionMousedown = this.handleOptionMousedown.bind(this);
+      this.handleOptionClick = this.handleOptionClick.bind(this);
+    }
+
+    /**
+     * Enhance the header search form into a combobox
+     */
+    init() {
+      try {
+        this.form = document.querySelector(SELECTORS.searchForm);
+
+        if (!this.form) {
+          logger('ProductSearch').info('Search form not found');
+          return;
+        }
+
+        this.input = this.form.querySelector('input[type="search"]');
+        this.listbox = this.form.querySelector('[role="listbox"]');
+
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('aria-controls', this.listbox.id);
+
+        this.status = document.createElement('p');
+        this.status.className = 'sr-only';
+        this.status.setAttribute('role', 'status');
+        this.status.setAttribute('aria-live', 'polite');
+        this.form.appendChild(this.status);
+
+        this.input.addEventListener('input', this.handleInput);
+        this.input.addEventListener('keydown', this.handleKeydown);
+        this.input.addEventListener('blur', this.handleBlur);
+        this.form.addEventListener('submit', this.handleSubmit);
+        this.listbox.addEventListener('mousedown', this.handleOptionMousedown);
+        this.listbox.addEventListener('click', this.handleOptionClick);
+
+        logger('ProductSearch').info('Initialized');
+      } catch (error) {
+        logError('ProductSearch initialization', error);
+      }
+    }
+
+    /**
+     * Rank products against a query
+     * @param {string} query - Search query
+     * @returns {Object[]} Matching products, best first
+     */
+    search(query) {
+      const tokens = query.toLowerCase().split(/\s+/).filter(Boolean);
+      if (tokens.length === 0) return [];
+
+      const weights = CONFIG.SEARCH.fieldWeights;
+
+      return this.catalog.getProducts()
+        .map(product => {
+          const fields = {
+            name: product.name.toLowerCase(),
+            tags: (product.tags || []).concat(product.category || []).join(' ').toLowerCase(),
+            description: `${product.description || ''} ${product.details || ''}`.toLowerCase()
+          };
+
+          let score = 0;
+
+          // Every token has to match at least one field
+          for (const token of tokens) {
+            const tokenScore = Math.max(
+              ...Object.keys(weights).map(field => fuzzyScore(token, fields[field]) * weights[field])
+            );
+
+            if (tokenScore === 0) return null;
+            score += tokenScore;
+          }
+
+          return { product, score };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, CONFIG.SEARCH.maxSuggestions)
+        .map(result => result.product);
+    }
+
+    /**
+     * Refresh suggestions for the current input value
+     */
+    update() {
+      const query = this.input.value.trim();
+
+      if (query.length < CONFIG.SEARCH.minQueryLength) {
+        this.close();
+        return;
+      }
+
+      this.suggestions = this.search(query);
+      this.activeIndex = -1;
+      this.render();
+
+      const count = this.suggestions.length;
+      this.status.textContent = count
+        ? t('search.suggestions', { count })
+        : t('search.noMatches');
+    }
+
+    /**
+     * Render the suggestion listbox
+     */
+    render() {
+      if (this.suggestions.length === 0) {
+        this.close();
+        return;
+      }
+
+      this.listbox.innerHTML = this.suggestions.map((product, index) => `
+        <li id="search-option-${escapeHtml(product.id)}" class="search-suggestion" role="option" aria-selected="${index === this.activeIndex}" data-index="${index}">
+          <span class="search-suggestion-name">${escapeHtml(product.name)}</span>
+          <span class="search-suggestion-price">${escapeHtml(formatCurrency(product.price, this.catalog.meta.currency))}</span>
+        </li>
+      `).join('');
+
+      this.listbox.hidden = false;
+      this.input.setAttribute('aria-expanded', 'true');
+      this.updateActiveDescendant();
+    }
+
+    /**
+     * Sync aria-selected and aria-activedescendant with the active option
+     */
+    updateActiveDescendant() {
+      const options = this.listbox.querySelectorAll('[role="option"]');
+
+      options.forEach((option, index) => {
+        const isActive = index === this.activeIndex;
+        option.setAttribute('aria-selected', String(isActive));
+        option.classList.toggle('is-active', isActive);
+        if (isActive) {
+          option.scrollIntoView({ block: 'nearest' });
+        }
+      });
+
+      if (this.activeIndex >= 0 && options[this.activeIndex]) {
+        this.input.setAttribute('aria-activedescendant', options[this.activeIndex].id);
+      } else {
+        this.input.removeAttribute('aria-activedescendant');
+      }
+    }
+
+    /**
+     * Move the active option
+     * @param {number} delta - +1 for next, -1 for previous
+     */
+    move(delta) {
+      const count = this.suggestions.length;
+      if (count === 0) return;
+
+      this.activeIndex = (this.activeIndex + delta + count) % count;
+      this.updateActiveDescendant();
+    }
+
+    /**
+     * Hide the suggestion listbox
+     */
+    close() {
+      this.suggestions = [];
+      this.activeIndex = -1;
+
+      if (this.listbox) {
+        this.listbox.hidden = true;
+        this.listbox.innerHTML = '';
+      }
+
+      if (this.input) {
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+      }
+    }
+
+    /**
+     * Jump to a product's detail view
+     * @param {Object} product - Selected product
+     */
+    select(product) {
+      events.emit('search:select', { query: this.input.value, product });
+
+      this.input.value = product.name;
+      this.close();
+
+      if (this.productDetail) {
+        this.productDetail.show(product.id, this.input);
+        return;
+      }
+
+      const card = this.catalog.grid && Array.from(this.catalog.grid.querySelectorAll('[data-product-id]'))
+        .find(element => element.dataset.productId === product.id);
+      if (card) {
+        card.scrollIntoView(CONFIG.SMOOTH_SCROLL);
+      }
+    }
+
+    /**
+     * Combobox keyboard model
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeydown(event) {
+      const isOpen = !this.listbox.hidden;
+
+      switch (event.key) {
+        case 'ArrowDown':
+          event.preventDefault();
+          if (!isOpen) {
+            this.update();
+          }
+          this.move(1);
+          break;
+        case 'ArrowUp':
+          event.preventDefault();
+          if (!isOpen) {
+            this.update();
+          }
+          this.move(-1);
+          break;
+        case 'Enter':
+          if (isOpen && this.activeIndex >= 0) {
+            event.preventDefault();
+            this.select(this.suggestions[this.activeIndex]);
+          }
+          break;
+        case 'Escape':
+          if (isOpen) {
+            event.preventDefault();
+            event.stopPropagation();
+            this.close();
+          } else if (this.input.value) {
+            event.preventDefault();
+            this.input.value = '';
+          }
+          break;
+        default:
+          break;
+      }
+    }
+
+    /**
+     * Submit picks the best match instead of leaving the page.
+     * There is no server-side search, so an early submit waits for the catalog.
+     * @param {SubmitEvent} event - Submit event
+     */
+    async handleSubmit(event) {
+      event.preventDefault();
+
+      if (!this.input.value.trim()) return;
+
+      if (!this.catalog.loaded) {
+        await this.whenCatalogReady();
+
+        if (!this.catalog.loaded) {
+          this.status.textContent = t('search.unavailable');
+          return;
+        }
+      }
+
+      // The visitor may have kept typing while the catalog loaded
+      const query = this.input.value.trim();
+      if (!query) return;
+
+      const [best] = this.search(query);
+      if (best) {
+        this.select(best);
+      } else {
+        this.status.textContent = t('search.notFound', { query });
+      }
+    }
+
+    /**
+     * Keep focus in the input while clicking an option
+     * @param {MouseEvent} event - Mousedown event
+     */
+    handleOptionMousedown(event) {
+      if (event.target.closest('[role="option"]')) {
+        event.preventDefault();
+      }
+    }
+
+    /**
+     * Select a clicked option
+     * @param {MouseEvent} event - Click event
+     */
+    handleOptionClick(event) {
+      const option = event.target.closest('[role="option"]');
+      if (!option) return;
+
+      this.select(this.suggestions[Number(option.dataset.index)]);
+    }
+
+    /**
+     * Close suggestions when focus leaves the input
+     */
+    handleBlur() {
+      // A pending keystroke would otherwise reopen them after focus moved on
+      this.handleInput.cancel();
+      this.close();
+    }
+
+    /**
+     * Cleanup listeners and restore the plain search form
+     */
+    destroy() {
+      if (!this.form) return;
+
+      this.handleInput.cancel();
+      this.close();
+      this.input.removeEventListener('input', this.handleInput);
+      this.input.removeEventListener('keydown', this.handleKeydown);
+      this.input.removeEventListener('blur', this.handleBlur);
+      this.form.removeEventListener('submit', this.handleSubmit);
+      this.listbox.removeEventListener('mousedown', this.handleOptionMousedown);
+      this.listbox.removeEventListener('click', this.handleOptionClick);
+
+      ['role', 'aria-autocomplete', 'aria-expanded', 'aria-controls'].forEach(attribute => {
+        this.input.removeAttribute(attribute);
+      });
+
+      if (this.status) {
+        this.status.remove();
+        this.status = null;
+      }
+    }
+  }
+
+  // ============================================================================
+  // NEWSLETTER SUBSCRIPTION
+  // ============================================================================
+
+  class NewsletterSubscription {
+    constructor() {
+      this.form = null;
+      this.section = null;
+      this.panel = null;
+      this.endpoint = '/newsletter';
+      this.subscription = null;
+
+      this.handleSubmitted = this.handleSubmitted.bind(this);
+      this.handlePanelSubmit = this.handlePanelSubmit.bind(this);
+      this.handlePanelClick = this.handlePanelClick.bind(this);
+    }
+
+    /**
+     * Initialize the subscription flow and handle confirm/unsubscribe links
+     */
+    init() {
+      try {
+        this.form = document.querySelector(SELECTORS.newsletterForm);
+
+        if (!this.form) {
+          logger('Newsletter').info('Newsletter form not found');
+          return;
+        }
+
+        this.section = this.form.parentElement;
+        this.endpoint = this.form.getAttribute('action') || this.endpoint;
+        this.subscription = this.loadSubscription();
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'newsletter-panel';
+        this.panel.setAttribute('aria-live', 'polite');
+        this.form.insertAdjacentElement('afterend', this.panel);
+
+        this.form.addEventListener('shoestore:formsubmitted', this.handleSubmitted);
+        this.panel.addEventListener('submit', this.handlePanelSubmit);
+        this.panel.addEventListener('click', this.handlePanelClick);
+
+        const params = new URLSearchParams(window.location.search);
+
+        if (params.has('confirm')) {
+          this.confirm(params.get('confirm'));
+        } else if (params.has('unsubscribe')) {
+          this.unsubscribe(params.get('unsubscribe'));
+        } else if (this.subscription) {
+          this.renderPreferences();
+        }
+
+        logger('Newsletter').info('Initialized');
+      } catch (error) {
+        logError('Newsletter initialization', error);
+      }
+    }
+
+    /**
+     * Read the stored subscription (manage token and preferences)
+     * @returns {Object|null} Subscription
+     */
+    loadSubscription() {
+      try {
+        return JSON.parse(localStorage.getItem(CONFIG.NEWSLETTER.storageKey) || 'null');
+      } catch (error) {
+        logError('Newsletter storage read', error);
+        return null;
+      }
+    }
+
+    /**
+     * Persist or clear the subscription
+     * @param {Object|null} subscription - Subscription to store
+     */
+    saveSubscription(subscription) {
+      this.subscription = subscription;
+
+      try {
+        if (subscription) {
+          localStorage.setItem(CONFIG.NEWSLETTER.storageKey, JSON.stringify(subscription));
+        } else {
+          localStorage.removeItem(CONFIG.NEWSLETTER.storageKey);
+        }
+      } catch (error) {
+        logError('Newsletter storage write', error);
+      }
+    }
+
+    /**
+     * Remove a token parameter from the URL once handled
+     * @param {string} param - Query parameter name
+     */
+    clearParam(param) {
+      replaceQueryParams(params => params.delete(param));
+    }
+
+    /**
+     * Replace the default success message with the "check your inbox" state
+     * @param {CustomEvent} event - shoestore:formsubmitted event
+     */
+    handleSubmitted(event) {
+      event.preventDefault();
+
+      const email = event.detail.data.email;
+      this.form.hidden = true;
+      this.panel.innerHTML = `
+        <div class="newsletter-pending" role="status">
+          <p><strong>${escapeHtml(t('newsletter.checkInbox'))}</strong> ${escapeHtml(t('newsletter.sent', { email }))}</p>
+          <button type="button" class="newsletter-link" data-newsletter-action="restart">${escapeHtml(t('newsletter.restart'))}</button>
+        </div>
+      `;
+    }
+
+    /**
+     * Confirm a subscription from a ?confirm=TOKEN link
+     * @param {string} token - Confirmation token
+     */
+    async confirm(token) {
+      this.clearParam('confirm');
+
+      try {
+        const result = await postJsonWithRetry(`${this.endpoint}/confirm`, { token });
+
+        this.saveSubscription({
+          email: result.email,
+          token: result.token || token,
+          preferences: result.preferences || {}
+        });
+
+        this.renderPreferences(t('newsletter.confirmed'));
+        this.section.scrollIntoView(CONFIG.SMOOTH_SCROLL);
+      } catch (error) {
+        logError('Newsletter confirmation', error);
+        this.renderMessage(t('newsletter.confirmFailed'), 'form-error');
+      }
+    }
+
+    /**
+     * One-click unsubscribe from a ?unsubscribe=TOKEN link
+     * @param {string} token - Unsubscribe token
+     */
+    async unsubscribe(token) {
+      this.clearParam('unsubscribe');
+
+      try {
+        await postJsonWithRetry(`${this.endpoint}/unsubscribe`, { token });
+
+        this.saveSubscription(null);
+        this.renderMessage(t('newsletter.unsubscribed'), 'form-success');
+        // The preferences panel hid the signup form; offer it again
+        this.form.hidden = false;
+        this.section.scrollIntoView(CONFIG.SMOOTH_SCROLL);
+      } catch (error) {
+        logError('Newsletter unsubscribe', error);
+        this.renderMessage(t('newsletter.unsubscribeFailed'), 'form-error');
+      }
+    }
+
+    /**
+     * Show a message in place of the panel contents
+     * @param {string} text - Message
+     * @param {string} variant - Modifier class, e.g. "form-success"
+     */
+    renderMessage(text, variant) {
+      this.panel.innerHTML = `<p class="form-message ${variant}" role="status">${escapeHtml(text)}</p>`;
+    }
+
+    /**
+     * Render the preferences panel for a confirmed subscriber
+     * @param {string} [intro] - Optional message above the panel
+     */
+    renderPreferences(intro) {
+      const preferences = this.subscription.preferences || {};
+      const options = Object.entries(CONFIG.NEWSLETTER.preferences).map(([key, label]) => `
+        <label class="newsletter-option">
+          <input type="checkbox" name="${escapeHtml(key)}"${preferences[key] !== false ? ' checked' : ''}>
+          ${escapeHtml(t(`newsletter.preference.${key}`, {}, label))}
+        </label>
+      `).join('');
+
+      this.form.hidden = true;
+      this.panel.innerHTML = `
+        ${intro ? `<p class="form-message form-success" role="status">${escapeHtml(intro)}</p>` : ''}
+        <form class="newsletter-preferences" aria-label="${escapeHtml(t('newsletter.preferences'))}">
+          <fieldset>
+            <legend>${escapeHtml(t('newsletter.emailMeAbout', { email: this.subscription.email || t('newsletter.yourSubscription') }))}</legend>
+            ${options}
+          </fieldset>
+          <div class="newsletter-preferences-actions">
+            <button type="submit">${escapeHtml(t('newsletter.save'))}</button>
+            <button type="button" class="newsletter-link" data-newsletter-action="unsubscribe">${escapeHtml(t('newsletter.unsubscribe'))}</button>
+          </div>
+          <p class="newsletter-preferences-status" role="status"></p>
+        </form>
+      `;
+    }
+
+    /**
+     * Save preferences
+     * @param {SubmitEvent} event - Submit event
+     */
+    async handlePanelSubmit(event) {
+      const form = event.target.closest('.newsletter-preferences');
+      if (!form) return;
+
+      event.preventDefault();
+
+      const status = form.querySelector('.newsletter-preferences-status');
+      const button = form.querySelector('[type="submit"]');
+      const preferences = {};
+
+      Object.keys(CONFIG.NEWSLETTER.preferences).forEach(key => {
+        preferences[key] = form.elements.namedItem(key).checked;
+      });
+
+      button.disabled = true;
+
+      try {
+        await postJsonWithRetry(`${this.endpoint}/preferences`, {
+          token: this.subscription.token,
+          preferences
+        });
+
+        this.saveSubscription({ ...this.subscription, preferences });
+        status.textContent = t('newsletter.saved');
+      } catch (error) {
+        logError('Newsletter preferences', error);
+        status.textContent = t('newsletter.saveFailed');
+      } finally {
+        button.disabled = false;
+      }
+    }
+
+    /**
+     * Handle unsubscribe and "different email" buttons
+     * @param {MouseEvent} event - Click event
+     */
+    handlePanelClick(event) {
+      const button = event.target.closest('[data-newsletter-action]');
+      if (!button) return;
+
+      const action = button.dataset.newsletterAction;
+
+      if (action === 'unsubscribe' && this.subscription) {
+        this.unsubscribe(this.subscription.token);
+      } else if (action === 'restart') {
+        this.panel.innerHTML = '';
+        this.form.hidden = false;
+        this.form.querySelector('input[type="email"]').focus();
+      }
+    }
+
+    /**
+     * Cleanup listeners and restore the signup form
+     */
+    destroy() {
+      if (!this.form) return;
+
+      this.form.removeEventListener('shoestore:formsubmitted', this.handleSubmitted);
+      this.form.hidden = false;
+
+      if (this.panel) {
+        this.panel.remove();
+        this.panel = null;
+      }
+    }
+  }
+
+  // ============================================================================
+  // CUSTOMER REVIEWS
+  // ============================================================================
+
+  /**
+   * Format a rating for display, e.g. 4.5 or 4,5
+   * @param {number} rating - Rating between 1 and 5
+   * @returns {string} Localized rating
+   */
+  function formatRating(rating) {
+    return new Intl.NumberFormat(getLocaleTag(), { maximumFractionDigits: 1 }).format(rating);
+  }
+
+  /**
+   * Build a five-star rating, filled to the nearest fraction of a star
+   * @param {number} rating - Rating between 1 and 5
+   * @returns {string} Stars HTML
+   */
+  function createStarsMarkup(rating) {
+    return `<span class="star-rating" role="img" aria-label="${escapeHtml(t('reviews.stars', { rating: formatRating(rating) }))}" style="--rating: ${Number(rating)}"></span>`;
+  }
+
+  class Reviews {
+    /**
+     * @param {ProductCatalog} catalog - Catalog providing product records
+     * @param {FormValidator} formValidator - Validator used for the review form
+     */
+    constructor(catalog, formValidator) {
+      this.catalog = catalog;
+      this.formValidator = formValidator;
+      this.container = null;
+      this.slides = null;
+      this.position = null;
+      this.form = null;
+      this.reviews = [];
+      this.page = 0;
+
+      this.handleClick = this.handleClick.bind(this);
+      this.handleKeydown = this.handleKeydown.bind(this);
+      this.handleSubmitted = this.handleSubmitted.bind(this);
+    }
+
+    /**
+     * Load reviews, then render them, the ratings and their JSON-LD
+     * @returns {Promise<void>} Resolves once rendered
+     */
+    async init() {
+      try {
+        this.container = document.querySelector(SELECTORS.reviews);
+        this.form = document.querySelector(SELECTORS.reviewForm);
+
+        if (this.form) {
+          this.setupForm();
+        }
+
+        if (!this.container) {
+          logger('Reviews').info('Reviews container not found');
+          return;
+        }
+
+        this.container.addEventListener('click', this.handleClick);
+        this.container.addEventListener('keydown', this.handleKeydown);
+
+        this.reviews = await this.load();
+        this.render();
+        this.renderProductRatings();
+        this.renderJsonLd();
+
+        logger('Reviews').info(`Rendered ${this.reviews.length} reviews`);
+      } catch (error) {
+        logError('Reviews initialization', error);
+        this.renderMessage(t('reviews.unavailable'));
+      } finally {
+        if (this.container) {
+          this.container.removeAttribute('aria-busy');
+        }
+      }
+    }
+
+    /**
+     * Fetch and normalize reviews, newest first
+     * @returns {Promise<Object[]>} Reviews
+     */
+    async load() {
+      const response = await fetch(CONFIG.REVIEWS.url, {
+        headers: { Accept: 'application/json' }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Reviews request failed with status ${response.status}`);
+      }
+
+      const data = await response.json();
+
+      if (!data || !Array.isArray(data.reviews)) {
+        throw new Error('Reviews data is missing a "reviews" array');
+      }
+
+      return data.reviews
+        .filter(review => review && review.author && review.body)
+        .map(review => ({
+          ...review,
+          rating: Math.min(5, Math.max(1, Math.round(Number(review.rating)) || 1)),
+          productId: review.productId || null
+        }))
+        // Reviews of products no longer sold drop out of the list and the totals
+        .filter(review => !review.productId || !this.catalog.loaded || this.catalog.getProduct(review.productId))
+        .sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+    }
+
+    /**
+     * Average rating and count
+     * @param {Object[]} reviews - Reviews to summarize
+     * @returns {{ratingValue: number, reviewCount: number}|null} Summary, or null without reviews
+     */
+    summarize(reviews) {
+      if (reviews.length === 0) return null;
+
+      const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+      return {
+        ratingValue: Math.round((total / reviews.length) * 10) / 10,
+        reviewCount: reviews.length
+      };
+    }
+
+    /**
+     * @param {string} productId - Product ID
+     * @returns {Object[]} Reviews of one product
+     */
+    getProductReviews(productId) {
+      return this.reviews.filter(review => review.productId === productId);
+    }
+
+    /**
+     * Number of carousel pages
+     * @returns {number} Page count
+     */
+    getPageCount() {
+      return Math.max(1, Math.ceil(this.reviews.length / CONFIG.REVIEWS.perPage));
+    }
+
+    /**
+     * Render the rating summary and the carousel
+     */
+    render() {
+      const summary = this.summarize(this.reviews);
+
+      if (!summary) {
+        this.renderMessage(t('reviews.empty'));
+        return;
+      }
+
+      const hasPages = this.getPageCount() > 1;
+
+      this.container.innerHTML = `
+        <p class="reviews-summary">
+          ${createStarsMarkup(summary.ratingValue)}
+          <span>${escapeHtml(t('reviews.summary', { rating: formatRating(summary.ratingValue), count: summary.reviewCount }))}</span>
+        </p>
+        <div class="reviews-carousel" role="region" aria-roledescription="carousel" aria-label="${escapeHtml(t('reviews.label'))}">
+          <div class="reviews-controls"${hasPages ? '' : ' hidden'}>
+            <button type="button" class="reviews-nav" data-reviews-page="previous" aria-controls="reviews-slides" aria-label="${escapeHtml(t('reviews.previous'))}">
+              <span aria-hidden="true">&lsaquo;</span>
+            </button>
+            <p class="reviews-position"></p>
+            <button type="button" class="reviews-nav" data-reviews-page="next" aria-controls="reviews-slides" aria-label="${escapeHtml(t('reviews.next'))}">
+              <span aria-hidden="true">&rsaquo;</span>
+            </button>
+          </div>
+          <div class="testimonials-grid" id="reviews-slides" aria-live="polite"></div>
+        </div>
+      `;
+
+      this.slides = this.container.querySelector('#reviews-slides');
+      this.position = this.container.querySelector('.reviews-position');
+
+      this.showPage(0);
+    }
+
+    /**
+     * Show one page of reviews, wrapping around at either end
+     * @param {number} page - Zero-based page index
+     */
+    showPage(page) {
+      const pages = this.getPageCount();
+      const { perPage } = CONFIG.REVIEWS;
+
+      this.page = (page + pages) % pages;
+
+      const start = this.page * perPage;
+      this.slides.innerHTML = this.reviews
+        .slice(start, start + perPage)
+        .map((review, index) => this.createReviewMarkup(review, start + index + 1))
+        .join('');
+
+      this.position.textContent = t('reviews.page', { page: this.page + 1, pages });
+    }
+
+    /**
+     * Build markup for one review slide
+     * @param {Object} review - Review record
+     * @param {number} position - One-based position among all reviews
+     * @returns {string} Review HTML
+     */
+    createReviewMarkup(review, position) {
+      const product = review.productId ? this.catalog.getProduct(review.productId) : null;
+      const date = review.date ? new Date(`${review.date}T00:00:00Z`) : null;
+      const hasDate = date && !Number.isNaN(date.getTime());
+
+      const details = [
+        `<cite>— ${escapeHtml(review.author)}</cite>`,
+        product ? `<a href="#${escapeHtml(product.id)}">${escapeHtml(product.name)}</a>` : '',
+        hasDate
+          ? `<time datetime="${escapeHtml(review.date)}">${escapeHtml(new Intl.DateTimeFormat(getLocaleTag(), { dateStyle: 'medium', timeZone: 'UTC' }).format(date))}</time>`
+          : ''
+      ].filter(Boolean);
+
+      return `
+        <article class="testimonial" role="group" aria-roledescription="slide" aria-label="${escapeHtml(t('reviews.slide', { index: position, total: this.reviews.length }))}">
+          ${createStarsMarkup(review.rating)}
+          <blockquote>
+            <p>"${escapeHtml(review.body)}"</p>
+          </blockquote>
+          <footer>${details.join(' · ')}</footer>
+        </article>
+      `;
+    }
+
+    /**
+     * Show a message in place of the carousel
+     * @param {string} text - Message
+     */
+    renderMessage(text) {
+      if (!this.container) return;
+
+      this.container.innerHTML = `<p class="products-status" role="status">${escapeHtml(text)}</p>`;
+    }
+
+    /**
+     * Add each product's average rating to its card, with microdata
+     */
+    renderProductRatings() {
+      if (!this.catalog.grid) return;
+
+      this.catalog.grid.querySelectorAll('[data-product-id]').forEach(card => {
+        const existing = card.querySelector('.product-rating');
+        if (existing) existing.remove();
+
+        const summary = this.summarize(this.getProductReviews(card.dataset.productId));
+        const name = card.querySelector('.product-name');
+        if (!summary || !name) return;
+
+        name.insertAdjacentHTML('afterend', `
+          <p class="product-rating" itemprop="aggregateRating" itemscope itemtype="https://schema.org/AggregateRating">
+            ${createStarsMarkup(summary.ratingValue)}
+            <span>${escapeHtml(t('reviews.count', { count: summary.reviewCount }))}</span>
+            <meta itemprop="ratingValue" content="${summary.ratingValue}">
+            <meta itemprop="bestRating" content="5">
+            <meta itemprop="worstRating" content="1">
+            <meta itemprop="reviewCount" content="${summary.reviewCount}">
+          </p>
+        `);
+      });
+    }
+
+    /**
+     * Schema.org AggregateRating
+     * @param {{ratingValue: number, reviewCount: number}} summary - Rating summary
+     * @returns {Object} AggregateRating
+     */
+    toAggregateRating(summary) {
+      return {
+        '@type': 'AggregateRating',
+        ratingValue: String(summary.ratingValue),
+        bestRating: '5',
+        worstRating: '1',
+        reviewCount: String(summary.reviewCount)
+      };
+    }
+
+    /**
+     * Schema.org Review
+     * @param {Object} review - Review record
+     * @returns {Object} Review
+     */
+    toReview(review) {
+      return {
+        '@type': 'Review',
+        author: { '@type': 'Person', name: review.author },
+        datePublished: review.date || undefined,
+        reviewBody: review.body,
+        reviewRating: {
+          '@type': 'Rating',
+          ratingValue: String(review.rating),
+          bestRating: '5',
+          worstRating: '1'
+        }
+      };
+    }
+
+    /**
+     * Write the computed ratings and most recent reviews into the
+     * LocalBusiness and product list JSON-LD blocks
+     */
+    renderJsonLd() {
+      const { jsonLdLimit } = CONFIG.REVIEWS;
+
+      this.updateJsonLd(data => data['@type'] === 'LocalBusiness', business => {
+        const summary = this.summarize(this.reviews);
+
+        delete business.aggregateRating;
+        delete business.review;
+
+        if (summary) {
+          business.aggregateRating = this.toAggregateRating(summary);
+          business.review = this.reviews.slice(0, jsonLdLimit).map(review => this.toReview(review));
+        }
+      });
+
+      this.updateJsonLd(data => data['@type'] === 'ItemList', itemList => {
+        (itemList.itemListElement || []).forEach(product => {
+          const reviews = this.getProductReviews(product.sku);
+          const summary = this.summarize(reviews);
+
+          delete product.aggregateRating;
+          delete product.review;
+
+          if (summary) {
+            product.aggregateRating = this.toAggregateRating(summary);
+            product.review = reviews.slice(0, jsonLdLimit).map(review => this.toReview(review));
+          }
+        });
+      });
+    }
+
+    /**
+     * Rewrite the first JSON-LD block matching a predicate
+     * @param {Function} matches - Receives parsed data, returns whether to update it
+     * @param {Function} update - Mutates the parsed data
+     */
+    updateJsonLd(matches, update) {
+      for (const script of document.querySelectorAll(SELECTORS.localBusinessJsonLd)) {
+        let data;
+        try {
+          data = JSON.parse(script.textContent);
+        } catch (error) {
+          logError('JSON-LD parsing', error);
+          continue;
+        }
+
+        if (matches(data)) {
+          update(data);
+          script.textContent = JSON.stringify(data, null, 2);
+          return;
+        }
+      }
+    }
+
+    /**
+     * Validate the review form and offer the catalog's products
+     */
+    setupForm() {
+      this.formValidator.registerSchema(SELECTORS.reviewForm, {
+        fields: {
+          author: { minLength: CONFIG.FORM_VALIDATION.minNameLength },
+          body: {
+            minLength: CONFIG.REVIEWS.minBodyLength,
+            maxLength: CONFIG.REVIEWS.maxBodyLength
+          }
+        }
+      });
+
+      const select = this.form.querySelector('[name="productId"]');
+      if (select) {
+        this.catalog.getProducts().forEach(product => {
+          select.add(new Option(product.name, product.id));
+        });
+      }
+
+      this.form.addEventListener('shoestore:formsubmitted', this.handleSubmitted);
+    }
+
+    /**
+     * Reviews are moderated, so thank the customer instead of listing it
+     * @param {CustomEvent} event - shoestore:formsubmitted event
+     */
+    handleSubmitted(event) {
+      event.preventDefault();
+      this.formValidator.showFormMessage(this.form, t('reviews.submitted'), 'form-success');
+    }
+
+    /**
+     * Handle previous/next buttons
+     * @param {MouseEvent} event - Click event
+     */
+    handleClick(event) {
+      const button = event.target.closest('[data-reviews-page]');
+      if (!button) return;
+
+      this.showPage(this.page + (button.dataset.reviewsPage === 'next' ? 1 : -1));
+    }
+
+    /**
+     * Arrow keys page through the carousel while focus is inside it
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    handleKeydown(event) {
+      if (!['ArrowLeft', 'ArrowRight'].includes(event.key) || this.getPageCount() < 2) return;
+
+      event.preventDefault();
+      this.showPage(this.page + (event.key === 'ArrowRight' ? 1 : -1));
+    }
+
+    /**
+     * Cleanup listeners
+     */
+    destroy() {
+      if (this.container) {
+        this.container.removeEventListener('click', this.handleClick);
+        this.container.removeEventListener('keydown', this.handleKeydown);
+      }
+
+      if (this.form) {
+        this.form.removeEventListener('shoestore:formsubmitted', this.handleSubmitted);
+      }
+    }
+  }
+
+  // ============================================================================
+  // STORE HOURS & TIME ZONES
+  // ============================================================================
+
+  const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  let localBusinessCache = null;
+  let storeHoursPromise = null;
+  const hoursExceptions = new Map();
+
+  /**
+   * Read the LocalBusiness JSON-LD block from the page
+   * @returns {Object} LocalBusiness data (empty object if missing)
+   */
+  function getLocalBusiness() {
+    if (localBusinessCache) return localBusinessCache;
+
+    const scripts = document.querySelectorAll(SELECTORS.localBusinessJsonLd);
+
+    for (const script of scripts) {
+      try {
+        const data = JSON.parse(script.textContent);
+        if (data['@type'] === 'LocalBusiness') {
+          localBusinessCache = data;
+          return data;
+        }
+      } catch (error) {
+        logError('JSON-LD parsing', error);
+      }
+    }
+
+    return {};
+  }
+
+  /**
+   * Weekly opening hours from the LocalBusiness openingHoursSpecification
+   * @returns {Object<number, Array<{opens: string, closes: string}>>} Intervals keyed by weekday (0 = Sunday)
+   */
+  function getWeeklyHours() {
+    const hours = {};
+    const specs = [].concat(getLocalBusiness().openingHoursSpecification || []);
+
+    specs.forEach(spec => {
+      [].concat(spec.dayOfWeek || []).forEach(day => {
+        // Accept both "Monday" and "https://schema.org/Monday"
+        const index = WEEKDAYS.indexOf(String(day).split('/').pop());
+        if (index === -1 || !spec.opens || !spec.closes) return;
+
+        hours[index] = hours[index] || [];
+        hours[index].push({ opens: spec.opens, closes: spec.closes });
+      });
+    });
+
+    return hours;
+  }
+
+  /**
+   * Load holiday and special-hours exceptions (once). Failures are logged and
+   * the regular weekly hours keep applying.
+   * @returns {Promise<void>}
+   */
+  function loadStoreHours() {
+    if (!storeHoursPromise) {
+      storeHoursPromise = fetch(CONFIG.STORE.hoursUrl, {
+        headers: { Accept: 'application/json' }
+      })
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Store hours request failed with status ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(data => {
+          (data.exceptions || []).forEach(exception => {
+            if (exception && exception.date) {
+              hoursExceptions.set(exception.date, exception);
+            }
+          });
+        })
+        .catch(error => logError('Store hours loading', error));
+    }
+
+    return storeHoursPromise;
+  }
+
+  /**
+   * Date key in YYYY-MM-DD form, as used by the hours exceptions file
+   * @param {{year: number, month: number, day: number}} date - Calendar date
+   * @returns {string} Date key
+   */
+  function formatDateKey({ year, month, day }) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  /**
+   * Holiday or special-hours exception for a calendar date
+   * @param {{year: number, month: number, day: number}} date - Calendar date
+   * @returns {Object|null} Exception entry
+   */
+  function getHoursException(date) {
+    return hoursExceptions.get(formatDateKey(date)) || null;
+  }
+
+  /**
+   * Opening intervals for a calendar date, exceptions first
+   * @param {{year: number, month: number, day: number, weekday: number}} date - Calendar date
+   * @returns {Array<{opens: string, closes: string}>} Intervals (empty when closed)
+   */
+  function getHoursForDate(date) {
+    const exception = getHoursException(date);
+
+    if (exception) {
+      if (exception.closed) return [];
+      if (exception.opens && exception.closes) {
+        return [{ opens: exception.opens, closes: exception.closes }];
+      }
+    }
+
+    return getWeeklyHours()[date.weekday] || [];
+  }
+
+  /**
+   * Convert "HH:MM" to minutes after midnight
+   * @param {string} time - Time string
+   * @returns {number} Minutes
+   */
+  function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  }
+
+  /**
+   * Calendar date and time of an instant in a time zone
+   * @param {Date|number} date - Instant
+   * @param {string} timeZone - IANA time zone
+   * @returns {{year: number, month: number, day: number, hour: number, minute: number, weekday: number}}
+   */
+  function getZonedParts(date, timeZone) {
+    const parts = {};
+
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }).formatToParts(date).forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+
+    return {
+      year: parts.year,
+      month: parts.month,
+      day: parts.day,
+      hour: parts.hour,
+      minute: parts.minute,
+      weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+    };
+  }
+
+  /**
+   * Instant for a wall-clock time in a time zone
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @param {number} day - Day of month
+   * @param {number} minutes - Minutes after midnight
+   * @param {string} timeZone - IANA time zone
+   * @returns {Date} Instant
+   */
+  function zonedTimeToDate(year, month, day, minutes, timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+    const offsetAt = timestamp => {
+      const parts = getZonedParts(timestamp, timeZone);
+      return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) -
+        Math.floor(timestamp / 60000) * 60000;
+    };
+
+    // Second pass corrects the offset when the guess lands across a DST change
+    const guess = wallClock - offsetAt(wallClock);
+    return new Date(wallClock - offsetAt(guess));
+  }
+
+  /**
+   * Calendar date a number of days after another, as plain parts
+   * @param {{year: number, month: number, day: number}} date - Start date
+   * @param {number} days - Days to add
+   * @returns {{year: number, month: number, day: number, weekday: number}}
+   */
+  function addDays({ year, month, day }, days) {
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      weekday: date.getUTCDay()
+    };
+  }
+
+  // ============================================================================
+  // FITTING APPOINTMENTS
+  // ============================================================================
+
+  class AppointmentBooker {
+    /**
+     * @param {FormValidator} formValidator - Validator used for the booking form
+     */
+    constructor(formValidator) {
+      this.formValidator = formValidator;
+      this.endpoint = '/appointments';
+      this.form = null;
+      this.dateSelect = null;
+      this.timeSelect = null;
+      this.confirmation = null;
+      this.icsUrl = null;
+
+      this.handleDateChange = this.handleDateChange.bind(this);
+    }
+
+    /**
+     * Initialize the booking form
+     */
+    init() {
+      try {
+        this.form = document.querySelector(SELECTORS.fittingForm);
+
+        if (!this.form) {
+          logger('AppointmentBooker').info('Booking form not found');
+          return;
+        }
+
+        this.endpoint = this.form.getAttribute('action') || this.endpoint;
+        this.dateSelect = this.form.querySelector('[name="date"]');
+        this.timeSelect = this.form.querySelector('[name="time"]');
+
+        this.formValidator.setupForm(this.form, { onValid: form => this.book(form) });
+        this.formValidator.registerSchema(SELECTORS.fittingForm, {
+          fields: {
+            name: { minLength: CONFIG.FORM_VALIDATION.minNameLength },
+            time: { validators: [value => this.isBookable(value) || t('booking.unavailable')] }
+          }
+        });
+
+        this.dateSelect.addEventListener('change', this.handleDateChange);
+        this.populateDates();
+
+        // Holidays and special hours arrive separately
+        loadStoreHours().then(() => {
+          if (this.form) this.populateDates();
+        });
+
+        logger('AppointmentBooker').info('Initialized');
+      } catch (error) {
+        logError('AppointmentBooker initialization', error);
+      }
+    }
+
+    /**
+     * Generate bookable slots for one store-local day
+     * @param {{year: number, month: number, day: number, weekday: number}} date - Calendar date
+     * @param {Date} [now] - Current time
+     * @returns {Date[]} Slot start times
+     */
+    getSlots(date, now = new Date()) {
+      const { slotMinutes, minLeadMinutes } = CONFIG.APPOINTMENTS;
+      const intervals = getHoursForDate(date);
+      const earliest = now.getTime() + minLeadMinutes * 60000;
+      const slots = [];
+
+      intervals.forEach(({ opens, closes }) => {
+        const end = timeToMinutes(closes);
+
+        for (let start = timeToMinutes(opens); start + slotMinutes <= end; start += slotMinutes) {
+          const slot = zonedTimeToDate(date.year, date.month, date.day, start, CONFIG.STORE.timeZone);
+          if (slot.getTime() >= earliest) {
+            slots.push(slot);
+          }
+        }
+      });
+
+      return slots;
+    }
+
+    /**
+     * Whether a slot value is still inside opening hours and in the future
+     * @param {string} value - ISO start time
+     * @returns {boolean}
+     */
+    isBookable(value) {
+      const start = new Date(value);
+      if (Number.isNaN(start.getTime())) return false;
+
+      const parts = getZonedParts(start, CONFIG.STORE.timeZone);
+      return this.getSlots(parts).some(slot => slot.getTime() === start.getTime());
+    }
+
+    /**
+     * Fill the date select with upcoming days that have free slots
+     */
+    populateDates() {
+      const timeZone = CONFIG.STORE.timeZone;
+      const today = getZonedParts(new Date(), timeZone);
+      const formatter = new Intl.DateTimeFormat(getLocaleTag(), {
+        timeZone: 'UTC',
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric'
+      });
+
+      const options = [];
+
+      for (let offset = 0; offset < CONFIG.APPOINTMENTS.daysAhead; offset++) {
+        const date = addDays(today, offset);
+        if (this.getSlots(date).length === 0) continue;
+
+        const value = formatDateKey(date);
+        const label = formatter.format(new Date(Date.UTC(date.year, date.month - 1, date.day)));
+        options.push(`<option value="${value}">${escapeHtml(label)}</option>`);
+      }
+
+      this.dateSelect.innerHTML = options.join('');
+      this.populateTimes();
+    }
+
+    /**
+     * Fill the time select for the selected date
+     */
+    populateTimes() {
+      const [year, month, day] = (this.dateSelect.value || '').split('-').map(Number);
+      this.timeSelect.innerHTML = '';
+
+      if (!year) return;
+
+      const date = addDays({ year, month, day }, 0);
+      const formatter = new Intl.DateTimeFormat(getLocaleTag(), {
+        timeZone: CONFIG.STORE.timeZone,
+        hour: 'numeric',
+        minute: '2-digit'
+      });
+
+      this.timeSelect.innerHTML = this.getSlots(date)
+        .map(slot => `<option value="${slot.toISOString()}">${escapeHtml(formatter.format(slot))}</option>`)
+        .join('');
+    }
+
+    /**
+     * Refresh times when the date changes
+     */
+    handleDateChange() {
+      this.populateTimes();
+      this.formValidator.clearFieldError(this.timeSelect);
+    }
+
+    /**
+     * Reserve the slot with the store, then confirm it and offer a calendar
+     * file. Bookings are not queued offline: a slot only counts once the
+     * store has accepted it.
+     * @param {HTMLFormElement} form - Validated booking form
+     */
+    async book(form) {
+      if (form.getAttribute('aria-busy') === 'true') return;
+
+      const data = new FormData(form);
+      const start = new Date(data.get('time'));
+      const end = new Date(start.getTime() + CONFIG.APPOINTMENTS.slotMinutes * 60000);
+
+      const booking = {
+        start,
+        end,
+        name: String(data.get('name')).trim(),
+        email: String(data.get('email')).trim(),
+        phone: String(data.get('phone') || '').trim(),
+        notes: String(data.get('notes') || '').trim()
+      };
+
+      if (this.confirmation) {
+        this.confirmation.remove();
+        this.confirmation = null;
+      }
+
+      if (!navigator.onLine) {
+        this.formValidator.showFormError(form, t('form.offline'));
+        return;
+      }
+
+      this.formValidator.setLoading(form, true);
+
+      try {
+        const response = await postJsonWithRetry(this.endpoint, {
+          ...booking,
+          start: start.toISOString(),
+          end: end.toISOString()
+        });
+
+        booking.id = response && response.id;
+
+        this.showConfirmation(booking, this.createIcs(booking));
+        events.emit('form:submitted', { form, data: Object.fromEntries(data), response });
+        form.reset();
+        this.populateDates();
+      } catch (error) {
+        if (error.status === 409) {
+          // Someone else booked the slot first
+          this.formValidator.applyServerErrors(form, { time: t('booking.unavailable') });
+        } else if (error.status === 0) {
+          this.formValidator.showFormError(form, t('form.offline'));
+        } else if (!this.formValidator.applyServerErrors(form, error.fieldErrors)) {
+          logError('Appointment booking', error);
+          this.formValidator.showFormError(form, t('form.error'));
+        }
+      } finally {
+        this.formValidator.setLoading(form, false);
+      }
+    }
+
+    /**
+     * Build an iCalendar (RFC 5545) file for a booking
+     * @param {Object} booking - Booking details
+     * @returns {string} .ics content
+     */
+    createIcs(booking) {
+      const business = getLocalBusiness();
+      const address = business.address || {};
+      const location = [address.streetAddress, address.addressLocality, `${address.addressRegion || ''} ${address.postalCode || ''}`.trim()]
+        .filter(Boolean)
+        .join(', ');
+
+      const formatDate = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+      const escapeText = text => String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+
+      // Lines longer than 75 octets (UTF-8 bytes, not characters) must be
+      // folded; continuation lines start with a space, leaving 74
+      const encoder = new TextEncoder();
+      const fold = line => {
+        const parts = [];
+        let current = '';
+        let size = 0;
+
+        for (const char of line) {
+          const bytes = encoder.encode(char).length;
+          if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+          }
+          current += char;
+          size += bytes;
+        }
+
+        parts.push(current);
+        return parts.join('\r\n ');
+      };
+
+      const description = [
+        t('booking.for', { name: booking.name }),
+        booking.phone ? t('booking.phone', { phone: booking.phone }) : '',
+        t('booking.email', { email: booking.email }),
+        booking.notes ? t('booking.notes', { notes: booking.notes }) : ''
+      ].filter(Boolean).join('\n');
+
+      return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//ShoeStore//Fitting Appointment//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${booking.id || `${booking.start.getTime()}-${Math.random().toString(36).slice(2)}`}@shoestore.example.com`,
+        `DTSTAMP:${formatDate(new Date())}`,
+        `DTSTART:${formatDate(booking.start)}`,
+        `DTEND:${formatDate(booking.end)}`,
+        `SUMMARY:${escapeText(t('booking.summary', { store: business.name || 'ShoeStore' }))}`,
+        `LOCATION:${escapeText(location)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].map(fold).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Show the booking summary with a calendar download link
+     * @param {Object} booking - Booking details
+     * @param {string} ics - Calendar file content
+     */
+    showConfirmation(booking, ics) {
+      if (this.icsUrl) {
+        URL.revokeObjectURL(this.icsUrl);
+      }
+      this.icsUrl = URL.createObjectURL(new Blob([ics], { type: 'text/calendar' }));
+
+      const when = new Intl.DateTimeFormat(getLocaleTag(), {
+        timeZone: CONFIG.STORE.timeZone,
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+      }).format(booking.start);
+
+      if (!this.confirmation) {
+        this.confirmation = document.createElement('div');
+        this.confirmation.className = 'form-message form-success fitting-confirmation';
+        this.confirmation.setAttribute('role', 'status');
+        this.confirmation.setAttribute('aria-live', 'polite');
+        this.form.insertAdjacentElement('beforebegin', this.confirmation);
+      }
+
+      this.confirmation.innerHTML = `
+        <p>${escapeHtml(t('booking.confirmed', { name: booking.name, when }))}</p>
+        <a href="${this.icsUrl}" download="shoestore-fitting.ics" class="btn btn-outline">${escapeHtml(t('booking.addToCalendar'))}</a>
+      `;
+    }
+
+    /**
+     * Cleanup listeners and object URLs
      */
     destroy() {
-      if (this.observer) {
-        this.observer.disconnect();
-        this.observer = null;
+      if (this.dateSelect) {
+        this.dateSelect.removeEventListener('change', this.handleDateChange);
+      }
+
+      if (this.icsUrl) {
+        URL.revokeObjectURL(this.icsUrl);
+        this.icsUrl = null;
+      }
+
+      if (this.confirmation) {
+        this.confirmation.remove();
+        this.confirmation = null;
+      }
+
+      this.form = null;
+    }
+  }
+
+  // ============================================================================
+  // STORE STATUS
+  // ============================================================================
+
+  class StoreStatus {
+    constructor() {
+      this.container = null;
+      this.badge = null;
+      this.timer = null;
+
+      this.update = this.update.bind(this);
+      this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    }
+
+    /**
+     * Initialize the live open/closed badge
+     */
+    async init() {
+      try {
+        this.container = document.querySelector(SELECTORS.storeHours);
+
+        if (!this.container) {
+          logger('StoreStatus').info('Store hours section not found');
+          return;
+        }
+
+        this.badge = document.createElement('p');
+        this.badge.className = 'store-status';
+        this.badge.setAttribute('role', 'status');
+
+        const heading = this.container.querySelector('h3');
+        if (heading) {
+          heading.insertAdjacentElement('afterend', this.badge);
+        } else {
+          this.container.prepend(this.badge);
+        }
+
+        this.update();
+        await loadStoreHours();
+        if (!this.badge) return;
+        this.update();
+
+        this.timer = setInterval(this.update, CONFIG.STORE.statusRefreshInterval);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+        logger('StoreStatus').info('Initialized');
+      } catch (error) {
+        logError('StoreStatus initialization', error);
+      }
+    }
+
+    /**
+     * Work out whether the store is open at a given moment
+     * @param {Date} [now] - Current time
+     * @returns {{open: boolean, until?: Object, next?: Object, exception: Object|null}}
+     */
+    getStatus(now = new Date()) {
+      const timeZone = CONFIG.STORE.timeZone;
+      const today = getZonedParts(now, timeZone);
+      const minutes = today.hour * 60 + today.minute;
+      const exception = getHoursException(today);
+
+      const current = getHoursForDate(today).find(({ opens, closes }) =>
+        timeToMinutes(opens) <= minutes && minutes < timeToMinutes(closes)
+      );
+
+      if (current) {
+        return { open: true, until: { date: today, offset: 0, time: current.closes }, exception };
+      }
+
+      for (let offset = 0; offset <= CONFIG.STORE.statusDaysAhead; offset++) {
+        const date = addDays(today, offset);
+        const upcoming = getHoursForDate(date)
+          .filter(({ opens }) => offset > 0 || timeToMinutes(opens) > minutes)
+          .sort((a, b) => timeToMinutes(a.opens) - timeToMinutes(b.opens));
+
+        if (upcoming.length > 0) {
+          return { open: false, next: { date, offset, time: upcoming[0].opens }, exception };
+        }
+      }
+
+      return { open: false, next: null, exception };
+    }
+
+    /**
+     * Human-readable status line
+     * @param {Object} status - Result of getStatus()
+     * @returns {string} Badge text
+     */
+    formatStatus(status) {
+      const formatTime = ({ date, time }) => new Intl.DateTimeFormat(getLocaleTag(), {
+        timeZone: CONFIG.STORE.timeZone,
+        hour: 'numeric',
+        minute: '2-digit'
+      }).format(zonedTimeToDate(date.year, date.month, date.day, timeToMinutes(time), CONFIG.STORE.timeZone));
+
+      const weekdayFormat = new Intl.DateTimeFormat(getLocaleTag(), { timeZone: 'UTC', weekday: 'long' });
+      const formatDay = ({ date, offset }) => {
+        if (offset === 0) return t('status.today');
+        if (offset === 1) return t('status.tomorrow');
+        return t('status.onDay', { weekday: weekdayFormat.format(new Date(Date.UTC(date.year, date.month - 1, date.day))) });
+      };
+
+      const note = status.exception && status.exception.label ? ` (${status.exception.label})` : '';
+
+      if (status.open) {
+        return t('status.open', { time: formatTime(status.until), note });
+      }
+
+      if (!status.next) {
+        return t('status.closed', { note });
+      }
+
+      return t('status.closedUntil', { note, day: formatDay(status.next), time: formatTime(status.next) });
+    }
+
+    /**
+     * Refresh the badge
+     */
+    update() {
+      if (!this.badge) return;
+
+      const status = this.getStatus();
+      const text = this.formatStatus(status);
+
+      // Only touch the DOM when something changed so screen readers stay quiet
+      if (this.badge.textContent !== text) {
+        this.badge.textContent = text;
+      }
+      this.badge.classList.toggle('is-open', status.open);
+      this.badge.classList.toggle('is-closed', !status.open);
+    }
+
+    /**
+     * Catch up immediately when the tab becomes visible again
+     */
+    handleVisibilityChange() {
+      if (document.visibilityState === 'visible') {
+        this.update();
+      }
+    }
+
+    /**
+     * Cleanup timer, listeners and badge
+     */
+    destroy() {
+      if (this.timer) {
+        clearInterval(this.timer);
+        this.timer = null;
+      }
+
+      document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+
+      if (this.badge) {
+        this.badge.remove();
+        this.badge = null;
       }
     }
   }
 
-  // ============================================================================
-  // SMOOTH SCROLLING NAVIGATION
-  // ============================================================================
+  // ============================================================================
+  // CONSENT MANAGEMENT
+  // ============================================================================
+
+  /**
+   * Read the stored consent choices. Choices saved under an older version
+   * count as no choice so visitors are asked again.
+   * @returns {Object|null} Choices by category, or null when not yet decided
+   */
+  function readConsent() {
+    const { cookieName, version } = CONFIG.CONSENT;
+    const cookie = document.cookie
+      .split('; ')
+      .find(entry => entry.startsWith(`${cookieName}=`));
+
+    if (!cookie) return null;
+
+    try {
+      const stored = JSON.parse(decodeURIComponent(cookie.substring(cookieName.length + 1)));
+      return stored && stored.version === version ? stored.choices : null;
+    } catch (error) {
+      logError('Consent cookie parsing', error);
+      return null;
+    }
+  }
+
+  /**
+   * Whether a consent category has been granted
+   * @param {string} category - Category name
+   * @returns {boolean}
+   */
+  function hasConsentFor(category) {
+    if (category === 'essential') return true;
+
+    const choices = readConsent();
+    return Boolean(choices && choices[category]);
+  }
+
+  /**
+   * Run a callback once a category is granted (immediately if it already is)
+   * @param {string} category - Category name
+   * @param {Function} callback - Runs at most once
+   * @returns {Function} Cancels a pending callback
+   */
+  function onConsent(category, callback) {
+    if (hasConsentFor(category)) {
+      callback();
+      return () => {};
+    }
+
+    const unsubscribe = events.on('consent:change', choices => {
+      if (choices[category]) {
+        unsubscribe();
+        callback();
+      }
+    });
+
+    return unsubscribe;
+  }
 
-  class SmoothScroll {
+  class ConsentManager {
     constructor() {
-      this.links = [];
+      this.banner = null;
+      this.dialog = null;
+      this.openButton = null;
+      this.returnFocus = null;
+
+      this.handleBannerClick = this.handleBannerClick.bind(this);
+      this.handleDialogClick = this.handleDialogClick.bind(this);
+      this.handleDialogKeydown = this.handleDialogKeydown.bind(this);
+      this.handleDialogSubmit = this.handleDialogSubmit.bind(this);
+      this.openPreferences = this.openPreferences.bind(this);
     }
 
     /**
-     * Initialize smooth scrolling for navigation links
+     * Initialize the consent banner and preferences dialog
      */
     init() {
       try {
-        this.links = Array.from(document.querySelectorAll(SELECTORS.navLinks));
-        
-        if (this.links.length === 0) {
-          console.log('[SmoothScroll] No navigation links found');
-          return;
-        }
+        this.createDialog();
 
-        this.links.forEach(link => {
-          link.addEventListener('click', this.handleClick.bind(this));
-        });
+        this.openButton = document.querySelector(SELECTORS.consentOpen);
+        if (this.openButton) {
+          this.openButton.hidden = false;
+          this.openButton.addEventListener('click', this.openPreferences);
+        }
 
-        // Handle skip link
-        const skipLink = document.querySelector(SELECTORS.skipLink);
-        if (skipLink) {
-          skipLink.addEventListener('click', this.handleClick.bind(this));
+        if (!readConsent()) {
+          this.showBanner();
         }
 
-        console.log(`[SmoothScroll] Initialized for ${this.links.length} links`);
+        logger('ConsentManager').info('Initialized');
       } catch (error) {
-        logError('SmoothScroll initialization', error);
+        logError('ConsentManager initialization', error);
       }
     }
 
     /**
-     * Handle navigation link click
-     * @param {Event} event - Click event
+     * Non-essential categories
+     * @returns {string[]} Category names
      */
-    handleClick(event) {
-      const href = event.currentTarget.getAttribute('href');
-      
-      if (!href || !href.startsWith('#')) return;
-
-      const targetId = href.substring(1);
-      const targetElement = document.getElementById(targetId);
-
-      if (!targetElement) {
-        console.warn(`[SmoothScroll] Target element not found: ${targetId}`);
-        return;
-      }
+    getOptionalCategories() {
+      return Object.keys(CONFIG.CONSENT.categories).filter(category => category !== 'essential');
+    }
 
-      event.preventDefault();
+    /**
+     * Store choices and notify modules
+     * @param {Object} choices - Granted flag per optional category
+     */
+    save(choices) {
+      const { cookieName, version, maxAgeDays } = CONFIG.CONSENT;
+      const normalized = { essential: true };
 
-      try {
-        // Use native smooth scroll if supported
-        if ('scrollBehavior' in document.documentElement.style) {
-          targetElement.scrollIntoView(CONFIG.SMOOTH_SCROLL);
-        } else {
-          // Fallback for older browsers
-          targetElement.scrollIntoView();
-        }
+      this.getOptionalCategories().forEach(category => {
+        normalized[category] = Boolean(choices[category]);
+      });
 
-        // Update URL without triggering navigation
-        if (history.pushState) {
-          history.pushState(null, '', href);
-        }
+      const value = encodeURIComponent(JSON.stringify({
+        version,
+        choices: normalized,
+        savedAt: new Date().toISOString()
+      }));
+      const secure = window.location.protocol === 'https:' ? '; Secure' : '';
 
-        // Set focus for accessibility
-        targetElement.setAttribute('tabindex', '-1');
-        targetElement.focus({ preventScroll: true });
-        
-        // Remove tabindex after focus
-        targetElement.addEventListener('blur', () => {
-          targetElement.removeAttribute('tabindex');
-        }, { once: true });
+      document.cookie = `${cookieName}=${value}; Max-Age=${maxAgeDays * 86400}; Path=/; SameSite=Lax${secure}`;
 
-      } catch (error) {
-        logError('SmoothScroll navigation', error);
-      }
+      this.hideBanner();
+      events.emit('consent:change', normalized);
+      logger('ConsentManager').info('Consent saved:', normalized);
     }
 
     /**
-     * Cleanup event listeners
+     * Grant every category
      */
-    destroy() {
-      this.links.forEach(link => {
-        link.removeEventListener('click', this.handleClick);
+    acceptAll() {
+      const choices = {};
+      this.getOptionalCategories().forEach(category => {
+        choices[category] = true;
       });
+      this.save(choices);
     }
-  }
 
-  // ============================================================================
-  // MOBILE MENU FUNCTIONALITY
-  // ============================================================================
-
-  class MobileMenu {
-    constructor() {
-      this.toggle = null;
-      this.menu = null;
-      this.isOpen = false;
-      this.handleResize = debounce(this.onResize.bind(this), CONFIG.DEBOUNCE_DELAY);
+    /**
+     * Keep only essential features
+     */
+    rejectAll() {
+      this.save({});
     }
 
     /**
-     * Initialize mobile menu
+     * Show the first-visit banner
      */
-    init() {
-      try {
-        this.menu = document.querySelector(SELECTORS.mobileMenu);
-        
-        if (!this.menu) {
-          console.log('[MobileMenu] Navigation menu not found');
-          return;
-        }
+    showBanner() {
+      if (this.banner) return;
+
+      this.banner = document.createElement('div');
+      this.banner.className = 'consent-banner';
+      this.banner.setAttribute('role', 'region');
+      this.banner.setAttribute('aria-label', t('consent.label'));
+      this.banner.innerHTML = `
+        <p>${escapeHtml(t('consent.message'))}</p>
+        <div class="consent-actions">
+          <button type="button" class="btn btn-primary" data-consent="accept">${escapeHtml(t('consent.accept'))}</button>
+          <button type="button" class="btn btn-outline" data-consent="reject">${escapeHtml(t('consent.reject'))}</button>
+          <button type="button" class="btn btn-outline" data-consent="manage">${escapeHtml(t('consent.manage'))}</button>
+        </div>
+      `;
 
-        // Create mobile menu toggle button if it doesn't exist
-        this.toggle = document.querySelector(SELECTORS.mobileMenuToggle);
-        if (!this.toggle) {
-          this.createToggleButton();
-        }
+      this.banner.addEventListener('click', this.handleBannerClick);
+      document.body.appendChild(this.banner);
+    }
 
-        this.setupEventListeners();
-        this.updateMenuState();
+    /**
+     * Remove the banner
+     */
+    hideBanner() {
+      if (!this.banner) return;
 
-        console.log('[MobileMenu] Initialized');
-      } catch (error) {
-        logError('MobileMenu initialization', error);
-      }
+      this.banner.removeEventListener('click', this.handleBannerClick);
+      this.banner.remove();
+      this.banner = null;
     }
 
     /**
-     * Create mobile menu toggle button
+     * Banner button actions
+     * @param {MouseEvent} event - Click event
      */
-    createToggleButton() {
-      this.toggle = document.createElement('button');
-      this.toggle.className = 'mobile-menu-toggle';
-      this.toggle.setAttribute('aria-label', 'Toggle navigation menu');
-      this.toggle.setAttribute('aria-expanded', 'false');
-      this.toggle.setAttribute('aria-controls', 'main-navigation');
-      
-      // Create hamburger icon
-      this.toggle.innerHTML = `
-        <span class="menu-icon" aria-hidden="true">
-          <span></span>
-          <span></span>
-          <span></span>
-        </span>
-      `;
-
-      // Insert before navigation
-      this.menu.parentNode.insertBefore(this.toggle, this.menu);
-      
-      // Add ID to menu for aria-controls
-      if (!this.menu.id) {
-        this.menu.id = 'main-navigation';
+    handleBannerClick(event) {
+      const button = event.target.closest('[data-consent]');
+      if (!button) return;
+
+      switch (button.dataset.consent) {
+        case 'accept':
+          this.acceptAll();
+          break;
+        case 'reject':
+          this.rejectAll();
+          break;
+        case 'manage':
+          this.openPreferences();
+          break;
+        default:
+          break;
       }
     }
 
     /**
-     * Setup event listeners
+     * Create the preferences dialog
      */
-    setupEventListeners() {
-      if (this.toggle) {
-        this.toggle.addEventListener('click', this.toggleMenu.bind(this));
-      }
+    createDialog() {
+      const categories = Object.entries(CONFIG.CONSENT.categories).map(([name, { label, description }]) => {
+        const isEssential = name === 'essential';
+        return `
+          <label class="consent-category">
+            <input type="checkbox" name="${escapeHtml(name)}" ${isEssential ? 'checked disabled' : ''}>
+            <span>
+              <strong>${escapeHtml(t(`consent.category.${name}.label`, {}, label))}</strong>
+              <span class="consent-description">${escapeHtml(t(`consent.category.${name}.description`, {}, description))}</span>
+            </span>
+          </label>
+        `;
+      }).join('');
+
+      this.dialog = document.createElement('div');
+      this.dialog.className = 'consent-dialog';
+      this.dialog.hidden = true;
+      this.dialog.innerHTML = `
+        <div class="consent-dialog-backdrop" data-consent-close></div>
+        <form class="consent-dialog-panel" role="dialog" aria-modal="true" aria-labelledby="consent-dialog-title" tabindex="-1">
+          <h2 id="consent-dialog-title">${escapeHtml(t('consent.title'))}</h2>
+          <fieldset>
+            <legend class="sr-only">${escapeHtml(t('consent.categories'))}</legend>
+            ${categories}
+          </fieldset>
+          <div class="consent-actions">
+            <button type="submit" class="btn btn-primary">${escapeHtml(t('consent.save'))}</button>
+            <button type="button" class="btn btn-outline" data-consent-close>${escapeHtml(t('consent.cancel'))}</button>
+          </div>
+        </form>
+      `;
 
-      window.addEventListener('resize', this.handleResize);
-      
-      // Close menu when clicking outside
-      document.addEventListener('click', this.handleOutsideClick.bind(this));
-      
-      // Close menu on escape key
-      document.addEventListener('keydown', this.handleEscapeKey.bind(this));
+      this.panel = this.dialog.querySelector('.consent-dialog-panel');
+      this.dialog.addEventListener('click', this.handleDialogClick);
+      this.dialog.addEventListener('keydown', this.handleDialogKeydown);
+      this.panel.addEventListener('submit', this.handleDialogSubmit);
+      document.body.appendChild(this.dialog);
     }
 
     /**
-     * Toggle menu open/closed
+     * Open the preferences dialog with the current choices ticked
      */
-    toggleMenu() {
-      this.isOpen = !this.isOpen;
-      this.updateMenuState();
+    openPreferences() {
+      const choices = readConsent() || {};
+
+      this.getOptionalCategories().forEach(category => {
+        const checkbox = this.panel.elements.namedItem(category);
+        if (checkbox) checkbox.checked = Boolean(choices[category]);
+      });
+
+      this.returnFocus = document.activeElement;
+      this.dialog.hidden = false;
+      this.panel.focus();
     }
 
     /**
-     * Update menu state and attributes
+     * Close the preferences dialog
      */
-    updateMenuState() {
-      const isMobile = window.innerWidth < CONFIG.MOBILE_BREAKPOINT;
-      
-      if (!isMobile) {
-        this.isOpen = false;
-      }
-
-      if (this.toggle) {
-        this.toggle.setAttribute('aria-expanded', this.isOpen.toString());
-        this.toggle.classList.toggle('active', this.isOpen);
-      }
+    closePreferences() {
+      if (this.dialog.hidden) return;
 
-      if (this.menu) {
-        this.menu.classList.toggle('mobile-menu-open', this.isOpen);
-        this.menu.setAttribute('aria-hidden', (!this.isOpen && isMobile).toString());
-      }
+      this.dialog.hidden = true;
 
-      // Prevent body scroll when menu is open
-      document.body.style.overflow = (this.isOpen && isMobile) ? 'hidden' : '';
+      // The banner button that opened us may be gone after saving
+      const canReturn = this.returnFocus && this.returnFocus.isConnected && this.returnFocus !== document.body;
+      const target = canReturn ? this.returnFocus : this.openButton;
+      if (target) target.focus();
+      this.returnFocus = null;
     }
 
     /**
-     * Handle window resize
+     * Save choices from the dialog
+     * @param {SubmitEvent} event - Submit event
      */
-    onResize() {
-      this.updateMenuState();
+    handleDialogSubmit(event) {
+      event.preventDefault();
+
+      const choices = {};
+      this.getOptionalCategories().forEach(category => {
+        const checkbox = this.panel.elements.namedItem(category);
+        choices[category] = Boolean(checkbox && checkbox.checked);
+      });
+
+      this.save(choices);
+      this.closePreferences();
     }
 
     /**
-     * Handle clicks outside menu
-     * @param {Event} event - Click event
+     * Backdrop and cancel clicks
+     * @param {MouseEvent} event - Click event
      */
-    handleOutsideClick(event) {
-      if (!this.isOpen) return;
-      
-      const isClickInside = this.menu.contains(event.target) || 
-                           (this.toggle && this.toggle.contains(event.target));
-      
-      if (!isClickInside) {
-        this.isOpen = false;
-        this.updateMenuState();
+    handleDialogClick(event) {
+      if (event.target.closest('[data-consent-close]')) {
+        this.closePreferences();
       }
     }
 
     /**
-     * Handle escape key press
+     * Escape closes, Tab stays inside the dialog
      * @param {KeyboardEvent} event - Keyboard event
      */
-    handleEscapeKey(event) {
-      if (event.key === 'Escape' && this.isOpen) {
-        this.isOpen = false;
-        this.updateMenuState();
-        
-        if (this.toggle) {
-          this.toggle.focus();
-        }
+    handleDialogKeydown(event) {
+      if (event.key === 'Escape') {
+        this.closePreferences();
+        return;
       }
+
+      trapFocus(this.panel, event);
     }
 
     /**
-     * Cleanup event listeners
+     * Remove the banner, dialog and listeners
      */
     destroy() {
-      if (this.toggle) {
-        this.toggle.removeEventListener('click', this.toggleMenu);
+      this.hideBanner();
+
+      if (this.openButton) {
+        this.openButton.removeEventListener('click', this.openPreferences);
+        this.openButton.hidden = true;
+        this.openButton = null;
+      }
+
+      if (this.dialog) {
+        this.dialog.removeEventListener('click', this.handleDialogClick);
+        this.dialog.removeEventListener('keydown', this.handleDialogKeydown);
+        this.panel.removeEventListener('submit', this.handleDialogSubmit);
+        this.dialog.remove();
+        this.dialog = null;
+        this.panel = null;
       }
-      window.removeEventListener('resize', this.handleResize);
-      document.removeEventListener('click', this.handleOutsideClick);
-      document.removeEventListener('keydown', this.handleEscapeKey);
     }
   }
 
   // ============================================================================
-  // FORM VALIDATION
+  // ANALYTICS
   // ============================================================================
 
-  class FormValidator {
+  /*
+   * Events are { name, props, timestamp, path } and carry no personal data:
+   * form events report field names only, never values.
+   */
+  const ANALYTICS_TRANSPORTS = {
+    /**
+     * Send a batch with sendBeacon, falling back to a keepalive fetch
+     * @param {Object[]} batch - Events
+     */
+    beacon(batch) {
+      const body = JSON.stringify({ events: batch, sentAt: new Date().toISOString() });
+      const endpoint = CONFIG.ANALYTICS.endpoint;
+
+      if (navigator.sendBeacon && navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) {
+        return;
+      }
+
+      fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true
+      }).catch(error => logError('Analytics delivery', error));
+    },
+
+    /**
+     * Log a batch for local testing
+     * @param {Object[]} batch - Events
+     */
+    console(batch) {
+      // Printed regardless of the log level; choosing this transport is the opt-in
+      console.groupCollapsed(`[Analytics] ${batch.length} event(s)`);
+      batch.forEach(event => console.log(event.name, event.props));
+      console.groupEnd();
+    }
+  };
+
+  class Analytics {
     constructor() {
-      this.forms = [];
+      this.queue = [];
+      this.transport = null;
+      this.timer = null;
+      this.observer = null;
+      this.seenSections = new Set();
+      this.unsubscribers = [];
+
+      this.handleClick = this.handleClick.bind(this);
+      this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+      this.flush = this.flush.bind(this);
     }
 
     /**
-     * Initialize form validation
+     * Initialize tracking
      */
     init() {
       try {
-        const contactForm = document.querySelector(SELECTORS.contactForm);
-        const newsletterForm = document.querySelector(SELECTORS.newsletterForm);
-
-        if (contactForm) {
-          this.setupForm(contactForm, this.validateContactForm.bind(this));
-        }
+        this.setTransport(CONFIG.ANALYTICS.transport);
 
-        if (newsletterForm) {
-          this.setupForm(newsletterForm, this.validateNewsletterForm.bind(this));
+        if (this.isDoNotTrack()) {
+          logger('Analytics').info('Do Not Track is on; analytics disabled');
+          return;
         }
 
-        console.log('[FormValidator] Initialized');
+        document.addEventListener('click', this.handleClick, true);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        window.addEventListener('pagehide', this.flush);
+
+        this.unsubscribers = [
+          events.on('form:invalid', ({ form, fields }) => {
+            fields.forEach(field => this.track('form_error', { form: this.getFormName(form), field }));
+          }),
+          events.on('form:submitted', ({ form }) => {
+            this.track('form_submit', { form: this.getFormName(form) });
+          }),
+          events.on('consent:change', ({ analytics }) => {
+            // Withdrawing consent drops anything not yet sent
+            if (!analytics) {
+              this.queue = [];
+              return;
+            }
+
+            // Sections seen while waiting for consent are reported now
+            this.observeSections();
+          })
+        ];
+
+        this.observeSections();
+        this.timer = setInterval(this.flush, CONFIG.ANALYTICS.flushInterval);
+
+        logger('Analytics').info('Initialized');
       } catch (error) {
-        logError('FormValidator initialization', error);
+        logError('Analytics initialization', error);
       }
     }
 
     /**
-     * Setup form with validation
-     * @param {HTMLFormElement} form - Form element
-     * @param {Function} validator - Validation function
+     * Whether the browser asks not to be tracked (DNT or Global Privacy Control)
+     * @returns {boolean}
      */
-    setupForm(form, validator) {
-      this.forms.push(form);
+    isDoNotTrack() {
+      const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+      return dnt === '1' || dnt === 'yes' || navigator.globalPrivacyControl === true;
+    }
 
-      // Real-time validation on blur
-      const inputs = form.querySelectorAll('input, textarea');
-      inputs.forEach(input => {
-        input.addEventListener('blur', () => {
-          this.validateField(input);
-        });
+    /**
+     * Whether the visitor has agreed to analytics
+     * @returns {boolean}
+     */
+    hasConsent() {
+      return !CONFIG.ANALYTICS.requireConsent || hasConsentFor('analytics');
+    }
 
-        // Clear error on input
-        input.addEventListener('input', () => {
-          this.clearFieldError(input);
-        });
-      });
+    /**
+     * Choose how batches are delivered
+     * @param {string|Function} transport - Built-in transport name or function receiving a batch
+     */
+    setTransport(transport) {
+      if (typeof transport === 'function') {
+        this.transport = transport;
+        return;
+      }
 
-      // Form submission
-      form.addEventListener('submit', (event) => {
-        event.preventDefault();
-        
-        if (validator(form)) {
-          this.handleFormSubmit(form);
-        }
+      if (!ANALYTICS_TRANSPORTS[transport]) {
+        logger('Analytics').warn(`Unknown transport "${transport}"; using beacon`);
+      }
+      this.transport = ANALYTICS_TRANSPORTS[transport] || ANALYTICS_TRANSPORTS.beacon;
+    }
+
+    /**
+     * Queue an event, sending when the batch is full
+     * @param {string} name - Event name
+     * @param {Object} [props] - Event properties
+     * @returns {boolean} Whether the event was recorded
+     */
+    track(name, props = {}) {
+      if (this.isDoNotTrack() || !this.hasConsent()) return false;
+
+      this.queue.push({
+        name,
+        props,
+        timestamp: new Date().toISOString(),
+        path: window.location.pathname
       });
+
+      if (this.queue.length >= CONFIG.ANALYTICS.batchSize) {
+        this.flush();
+      }
+
+      return true;
     }
 
     /**
-     * Validate contact form
-     * @param {HTMLFormElement} form - Form element
-     * @returns {boolean} Validation result
+     * Send queued events
      */
-    validateContactForm(form) {
-      const name = form.querySelector('#contact-name');
-      const email = form.querySelector('#contact-email');
-      const phone = form.querySelector('#contact-phone');
-      const subject = form.querySelector('#contact-subject');
-      const message = form.querySelector('#contact-message');
+    flush() {
+      if (this.queue.length === 0 || !this.transport) return;
 
-      let isValid = true;
+      const batch = this.queue.splice(0, this.queue.length);
 
-      // Validate name
-      if (!this.validateName(name)) {
-        isValid = false;
+      try {
+        this.transport(batch);
+      } catch (error) {
+        logError('Analytics transport', error);
       }
+    }
+
+    /**
+     * Track each page section the first time it is mostly visible.
+     * Observing again reports sections already on screen.
+     */
+    observeSections() {
+      if (!('IntersectionObserver' in window)) return;
 
-      // Validate email
-      if (!this.validateEmail(email)) {
-        isValid = false;
+      if (this.observer) this.observer.disconnect();
+
+      this.observer = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          const id = entry.target.id;
+          if (!entry.isIntersecting || this.seenSections.has(id)) return;
+
+          // Only recorded views count, so a later consent still reports them
+          if (this.track('section_view', { section: id })) {
+            this.seenSections.add(id);
+          }
+        });
+      }, { threshold: CONFIG.ANALYTICS.sectionViewThreshold });
+
+      document.querySelectorAll(SELECTORS.spySections).forEach(section => this.observer.observe(section));
+    }
+
+    /**
+     * Product and outbound link clicks
+     * @param {MouseEvent} event - Click event
+     */
+    handleClick(event) {
+      const link = event.target.closest && event.target.closest('a[href]');
+      if (!link) return;
+
+      if (link.matches(SELECTORS.productDetailLinks)) {
+        const card = link.closest('[data-product-id]');
+        this.track('product_click', {
+          productId: card ? card.dataset.productId : link.getAttribute('href').substring(1)
+        });
+        return;
       }
 
-      // Validate phone (optional but must be valid if provided)
-      if (phone && phone.value.trim() && !this.validatePhone(phone)) {
-        isValid = false;
+      let url;
+      try {
+        url = new URL(link.href, window.location.href);
+      } catch (error) {
+        return;
       }
 
-      // Validate subject
-      if (!this.validateSubject(subject)) {
-        isValid = false;
+      if (/^https?:$/.test(url.protocol) && url.host !== window.location.host) {
+        this.track('outbound_click', {
+          url: `${url.origin}${url.pathname}`,
+          label: (link.getAttribute('aria-label') || link.textContent).trim()
+        });
       }
+    }
 
-      // Validate message
-      if (!this.validateMessage(message)) {
-        isValid = false;
+    /**
+     * Send what we have when the page is hidden; it may never come back
+     */
+    handleVisibilityChange() {
+      if (document.visibilityState === 'hidden') {
+        this.flush();
       }
-
-      return isValid;
     }
 
     /**
-     * Validate newsletter form
+     * Name used to identify a form in events
      * @param {HTMLFormElement} form - Form element
-     * @returns {boolean} Validation result
+     * @returns {string} Form name
      */
-    validateNewsletterForm(form) {
-      const email = form.querySelector('#newsletter-email');
-      return this.validateEmail(email);
+    getFormName(form) {
+      return form.getAttribute('name') || form.id || form.classList[0] || 'form';
     }
 
     /**
-     * Validate individual field
-     * @param {HTMLInputElement} field - Input field
-     * @returns {boolean} Validation result
+     * Flush and remove listeners
      */
-    validateField(field) {
-      if (!field) return true;
+    destroy() {
+      this.flush();
 
-      const fieldType = field.type || field.tagName.toLowerCase();
-      const fieldId = field.id;
+      document.removeEventListener('click', this.handleClick, true);
+      document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+      window.removeEventListener('pagehide', this.flush);
 
-      if (fieldId.includes('name')) {
-        return this.validateName(field);
-      } else if (fieldId.includes('email')) {
-        return this.validateEmail(field);
-      } else if (fieldId.includes('phone')) {
-        return this.validatePhone(field);
-      } else if (fieldId.includes('subject')) {
-        return this.validateSubject(field);
-      } else if (fieldId.includes('message')) {
-        return this.validateMessage(field);
-      }
+      this.unsubscribers.forEach(unsubscribe => unsubscribe());
+      this.unsubscribers = [];
 
-      return true;
-    }
+      if (this.timer) {
+        clearInterval(this.timer);
+        this.timer = null;
+      }
 
-    /**
-     * Validate name field
-     * @param {HTMLInputElement} field - Name field
-     * @returns {boolean} Validation result
-     */
-    validateName(field) {
-      const value = field.value.trim();
-      
-      if (value.length < CONFIG.FORM_VALIDATION.minNameLength) {
-        this.showFieldError(field, `Name must be at least ${CONFIG.FORM_VALIDATION.minNameLength} characters`);
-        return false;
+      if (this.observer) {
+        this.observer.disconnect();
+        this.observer = null;
       }
 
-      this.clearFieldError(field);
-      return true;
+      this.seenSections.clear();
     }
+  }
 
-    /**
-     * Validate email field
-     * @param {HTMLInputElement} field - Email field
-     * @returns {boolean} Validation result
-     */
-    validateEmail(field) {
-      const value = field.value.trim();
-      
-      if (!CONFIG.FORM_VALIDATION.emailPattern.test(value)) {
-        this.showFieldError(field, 'Please enter a valid email address');
-        return false;
-      }
+  // ============================================================================
+  // OFFLINE SUPPORT
+  // ============================================================================
 
-      this.clearFieldError(field);
-      return true;
+  class ServiceWorkerManager {
+    constructor() {
+      this.registration = null;
+      this.updateRequested = false;
+      this.updateTimer = null;
+
+      this.handleUpdateFound = this.handleUpdateFound.bind(this);
+      this.handleControllerChange = this.handleControllerChange.bind(this);
     }
 
     /**
-     * Validate phone field
-     * @param {HTMLInputElement} field - Phone field
-     * @returns {boolean} Validation result
+     * Register the service worker and watch for new versions
      */
-    validatePhone(field) {
-      const value = field.value.trim();
-      
-      if (value && !CONFIG.FORM_VALIDATION.phonePattern.test(value)) {
-        this.showFieldError(field, 'Please enter a valid phone number');
-        return false;
+    async init() {
+      if (!('serviceWorker' in navigator)) {
+        logger('ServiceWorker').info('Service workers not supported');
+        return;
       }
 
-      this.clearFieldError(field);
-      return true;
+      const { hostname } = window.location;
+      if (!CONFIG.OFFLINE.enableOnLocalhost && (hostname === 'localhost' || hostname === '127.0.0.1')) {
+        logger('ServiceWorker').info('Skipped on localhost');
+        return;
+      }
+
+      try {
+        this.registration = await navigator.serviceWorker.register(CONFIG.OFFLINE.serviceWorkerUrl);
+
+        this.registration.addEventListener('updatefound', this.handleUpdateFound);
+        navigator.serviceWorker.addEventListener('controllerchange', this.handleControllerChange);
+
+        // A new version may have installed while no tab was open to ask
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+          this.notifyUpdate();
+        }
+
+        // Long-lived tabs otherwise only see releases on the next navigation
+        this.updateTimer = setInterval(() => {
+          this.registration.update().catch(error => logger('ServiceWorker').debug('Update check failed:', error));
+        }, CONFIG.OFFLINE.updateCheckInterval);
+
+        logger('ServiceWorker').info(`Registered with scope ${this.registration.scope}`);
+      } catch (error) {
+        logError('Service worker registration', error);
+      }
     }
 
     /**
-     * Validate subject field
-     * @param {HTMLInputElement} field - Subject field
-     * @returns {boolean} Validation result
+     * Track a newly found worker until it has installed
      */
-    validateSubject(field) {
-      const value = field.value.trim();
-      
-      if (value.length < CONFIG.FORM_VALIDATION.minSubjectLength) {
-        this.showFieldError(field, `Subject must be at least ${CONFIG.FORM_VALIDATION.minSubjectLength} characters`);
-        return false;
-      }
-
-      this.clearFieldError(field);
-      return true;
+    handleUpdateFound() {
+      const worker = this.registration.installing;
+      if (!worker) return;
+
+      worker.addEventListener('statechange', () => {
+        // Without a controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          this.notifyUpdate();
+        }
+      });
     }
 
     /**
-     * Validate message field
-     * @param {HTMLTextAreaElement} field - Message field
-     * @returns {boolean} Validation result
+     * Announce that a new version is waiting
      */
-    validateMessage(field) {
-      const value = field.value.trim();
-      
-      if (value.length < CONFIG.FORM_VALIDATION.minMessageLength) {
-        this.showFieldError(field, `Message must be at least ${CONFIG.FORM_VALIDATION.minMessageLength} characters`);
-        return false;
-      }
-
-      this.clearFieldError(field);
-      return true;
+    notifyUpdate() {
+      logger('ServiceWorker').info('New version available');
+      events.emit('update:available', { registration: this.registration });
     }
 
     /**
-     * Show field error
-     * @param {HTMLElement} field - Input field
-     * @param {string} message - Error message
+     * Let the waiting worker take over; the page reloads once it has
      */
-    showFieldError(field, message) {
-      const formField = field.closest('.form-field');
-      if (!formField) return;
-
-      // Remove existing error
-      this.clearFieldError(field);
-
-      // Add error class
-      formField.classList.add('field-error');
-      field.setAttribute('aria-invalid', 'true');
-
-      // Create error message
-      const errorId = `${field.id}-error`;
-      const errorElement = document.createElement('span');
-      errorElement.id = errorId;
-      errorElement.className = 'field-error-message';
-      errorElement.textContent = sanitizeInput(message);
-      errorElement.setAttribute('role', 'alert');
+    applyUpdate() {
+      const waiting = this.registration && this.registration.waiting;
+      if (!waiting) return;
 
-      formField.appendChild(errorElement);
-      field.setAttribute('aria-describedby', errorId);
+      this.updateRequested = true;
+      waiting.postMessage({ type: 'SKIP_WAITING' });
     }
 
     /**
-     * Clear field error
-     * @param {HTMLElement} field - Input field
+     * Reload onto the new version, but only when the customer asked for it
      */
-    clearFieldError(field) {
-      const formField = field.closest('.form-field');
-      if (!formField) return;
-
-      formField.classList.remove('field-error');
-      field.removeAttribute('aria-invalid');
-      field.removeAttribute('aria-describedby');
+    handleControllerChange() {
+      if (!this.updateRequested) return;
 
-      const errorElement = formField.querySelector('.field-error-message');
-      if (errorElement) {
-        errorElement.remove();
-      }
+      this.updateRequested = false;
+      window.location.reload();
     }
 
     /**
-     * Handle form submission
-     * @param {HTMLFormElement} form - Form element
+     * Stop watching for updates; the worker stays registered
      */
-    handleFormSubmit(form) {
-      const startTime = performance.now();
-
-      try {
-        // Get form data
-        const formData = new FormData(form);
-        const data = {};
-        
-        formData.forEach((value, key) => {
-          data[key] = sanitizeInput(value);
-        });
-
-        console.log('[FormValidator] Form submitted:', data);
+    destroy() {
+      clearInterval(this.updateTimer);
+      this.updateTimer = null;
 
-        // Show success message
-        this.showFormSuccess(form);
+      if (this.registration) {
+        this.registration.removeEventListener('updatefound', this.handleUpdateFound);
+        navigator.serviceWorker.removeEventListener('controllerchange', this.handleControllerChange);
+        this.registration = null;
+      }
+    }
+  }
 
-        // Reset form
-        form.reset();
+  class UpdatePrompt {
+    constructor() {
+      this.element = null;
+      this.onReload = null;
 
-        logPerformance('Form submission', startTime);
-      } catch (error) {
-        logError('Form submission', error);
-        this.showFormError(form, 'An error occurred. Please try again.');
-      }
+      this.handleClick = this.handleClick.bind(this);
     }
 
     /**
-     * Show form success message
-     * @param {HTMLFormElement} form - Form element
+     * Nothing to set up until an update arrives; App wires show() to
+     * the update:available event
      */
-    showFormSuccess(form) {
-      const message = document.createElement('div');
-      message.className = 'form-message form-success';
-      message.textContent = 'Thank you! Your message has been sent successfully.';
-      message.setAttribute('role', 'status');
-      message.setAttribute('aria-live', 'polite');
+    init() {}
 
-      form.insertAdjacentElement('beforebegin', message);
+    /**
+     * Show the "new version available" prompt
+     * @param {Function} onReload - Called when the customer chooses to reload
+     */
+    show(onReload) {
+      this.onReload = onReload;
+      if (this.element) return;
+
+      this.element = document.createElement('div');
+      this.element.className = 'update-prompt';
+      this.element.setAttribute('role', 'status');
+      this.element.innerHTML = `
+        <p>${escapeHtml(t('update.available'))}</p>
+        <div class="update-prompt-actions">
+          <button type="button" class="btn btn-primary" data-update="reload">${escapeHtml(t('update.reload'))}</button>
+          <button type="button" class="btn btn-outline" data-update="dismiss">${escapeHtml(t('update.dismiss'))}</button>
+        </div>
+      `;
 
-      setTimeout(() => {
-        message.remove();
-      }, 5000);
+      this.element.addEventListener('click', this.handleClick);
+      document.body.appendChild(this.element);
     }
 
     /**
-     * Show form error message
-     * @param {HTMLFormElement} form - Form element
-     * @param {string} errorMessage - Error message
+     * @param {MouseEvent} event - Click event
      */
-    showFormError(form, errorMessage) {
-      const message = document.createElement('div');
-      message.className = 'form-message form-error';
-      message.textContent = sanitizeInput(errorMessage);
-      message.setAttribute('role', 'alert');
-      message.setAttribute('aria-live', 'assertive');
+    handleClick(event) {
+      const button = event.target.closest('[data-update]');
+      if (!button) return;
+
+      if (button.dataset.update === 'reload' && this.onReload) {
+        button.disabled = true;
+        this.onReload();
+      } else {
+        this.hide();
+      }
+    }
 
-      form.insertAdjacentElement('beforebegin', message);
+    /**
+     * Remove the prompt
+     */
+    hide() {
+      if (!this.element) return;
 
-      setTimeout(() => {
-        message.remove();
-      }, 5000);
+      this.element.removeEventListener('click', this.handleClick);
+      this.element.remove();
+      this.element = null;
     }
 
     /**
-     * Cleanup event listeners
+     * Remove the prompt and forget the reload callback
      */
     destroy() {
-      this.forms.forEach(form => {
-        const inputs = form.querySelectorAll('input, textarea');
-        inputs.forEach(input => {
-          input.removeEventListener('blur', this.validateField);
-          input.removeEventListener('input', this.clearFieldError);
-        });
-      });
+      this.hide();
+      this.onReload = null;
     }
   }
 
   // ============================================================================
-  // PERFORMANCE OPTIMIZATION
+  // APPLICATION INITIALIZATION
   // ============================================================================
 
-  class PerformanceOptimizer {
+  class App {
     constructor() {
-      this.metrics = {
-        loadTime: 0,
-        domContentLoaded: 0,
-        firstPaint: 0,
-        firstContentfulPaint: 0
-      };
+      this.events = events;
+      this.modules = new Map();
+      this.ready = new Map();
+      this.initOrder = [];
+      this.initialized = false;
+      this.unsubscribers = [];
+
+      this.errorReporter = this.register('errorReporter', errorReporter);
+      this.i18n = this.register('i18n', new I18n());
+      this.theme = this.register('theme', new ThemeController());
+      this.consent = this.register('consent', new ConsentManager());
+      this.lazyLoader = this.register('lazyLoader', new LazyLoader());
+      this.smoothScroll = this.register('smoothScroll', new SmoothScroll());
+      this.scrollSpy = this.register('scrollSpy', new ScrollSpy());
+      this.mobileMenu = this.register('mobileMenu', new MobileMenu());
+      this.formValidator = this.register('formValidator', new FormValidator());
+      this.performanceOptimizer = this.register('performanceOptimizer', new PerformanceOptimizer());
+      this.productCatalog = this.register('productCatalog', new ProductCatalog());
+      this.productDetail = this.register('productDetail', new ProductDetail(this.productCatalog));
+      this.cart = this.register('cart', new Cart(this.productCatalog));
+      this.wishlist = this.register('wishlist', new Wishlist(this.productCatalog));
+      this.catalogFilter = this.register('catalogFilter', new CatalogFilter(this.productCatalog), {
+        dependencies: ['productCatalog']
+      });
+      this.productSearch = this.register('productSearch', new ProductSearch(
+        this.productCatalog,
+        this.productDetail,
+        () => this.whenReady('productCatalog')
+      ));
+      this.newsletter = this.register('newsletter', new NewsletterSubscription());
+      this.appointmentBooker = this.register('appointmentBooker', new AppointmentBooker(this.formValidator), {
+        dependencies: ['formValidator']
+      });
+      this.reviews = this.register('reviews', new Reviews(this.productCatalog, this.formValidator), {
+        dependencies: ['productCatalog', 'formValidator']
+      });
+      this.storeStatus = this.register('storeStatus', new StoreStatus());
+      this.analytics = this.register('analytics', new Analytics());
+      this.serviceWorker = this.register('serviceWorker', new ServiceWorkerManager());
+      this.updatePrompt = this.register('updatePrompt', new UpdatePrompt());
     }
 
     /**
-     * Initialize performance monitoring
+     * Register a module. It is initialized once its dependencies have finished
+     * initializing; registering after the app has started initializes it right
+     * away, so register dependencies first.
+     * @param {string} name - Unique module name
+     * @param {Object} module - Object with init(app) and optional destroy() hooks
+     * @param {Object} [options]
+     * @param {string[]} [options.dependencies] - Names of modules to initialize first
+     *   (defaults to module.dependencies)
+     * @returns {Object} The registered module
      */
-    init() {
-      try {
-        this.measureLoadTime();
-        this.measurePaintMetrics();
-        this.optimizeResources();
+    register(name, module, { dependencies = module && module.dependencies || [] } = {}) {
+      if (!name || typeof name !== 'string') {
+        throw new TypeError('Module name must be a non-empty string');
+      }
+      if (!module || typeof module.init !== 'function') {
+        throw new TypeError(`Module "${name}" must have an init() method`);
+      }
+      if (this.modules.has(name)) {
+        throw new Error(`Module "${name}" is already registered`);
+      }
 
-        console.log('[PerformanceOptimizer] Initialized');
-      } catch (error) {
-        logError('PerformanceOptimizer initialization', error);
+      this.modules.set(name, { module, dependencies: [...dependencies] });
+
+      if (this.initialized) {
+        this.initModule(name);
       }
+
+      return module;
     }
 
     /**
-     * Measure page load time
+     * Look up a registered module
+     * @param {string} name - Module name
+     * @returns {Object|undefined} Module
      */
-    measureLoadTime() {
-      if (!window.performance || !window.performance.timing) return;
-
-      const timing = window.performance.timing;
-      this.metrics.loadTime = timing.loadEventEnd - timing.navigationStart;
-      this.metrics.domContentLoaded = timing.domContentLoadedEventEnd - timing.navigationStart;
-
-      console.log('[Performance] Page load time:', this.metrics.loadTime + 'ms');
-      console.log('[Performance] DOM content loaded:', this.metrics.domContentLoaded + 'ms');
+    get(name) {
+      const entry = this.modules.get(name);
+      return entry ? entry.module : undefined;
     }
 
     /**
-     * Measure paint metrics
+     * Subscribe to an app event
+     * @param {string} event - Event name
+     * @param {Function} handler - Event handler
+     * @returns {Function} Unsubscribe function
      */
-    measurePaintMetrics() {
-      if (!window.performance || !window.performance.getEntriesByType) return;
-
-      const paintEntries = window.performance.getEntriesByType('paint');
-      
-      paintEntries.forEach(entry => {
-        if (entry.name === 'first-paint') {
-          this.metrics.firstPaint = entry.startTime;
-          console.log('[Performance] First paint:', entry.startTime.toFixed(2) + 'ms');
-        } else if (entry.name === 'first-contentful-paint') {
-          this.metrics.firstContentfulPaint = entry.startTime;
-          console.log('[Performance] First contentful paint:', entry.startTime.toFixed(2) + 'ms');
-        }
-      });
+    on(event, handler) {
+      return this.events.on(event, handler);
     }
 
     /**
-     * Optimize resource loading
+     * Unsubscribe from an app event
+     * @param {string} event - Event name
+     * @param {Function} handler - Event handler
      */
-    optimizeResources() {
-      // Preconnect to external domains
-      this.addPreconnect('https://fonts.googleapis.com');
-      this.addPreconnect('https://fonts.gstatic.com');
-
-      // Add resource hints for critical resources
-      this.addPrefetch('/assets/css/styles.css');
+    off(event, handler) {
+      this.events.off(event, handler);
     }
 
     /**
-     * Add preconnect link
-     * @param {string} url - URL to preconnect
+     * Publish an app event
+     * @param {string} event - Event name
+     * @param {*} [payload] - Event payload
      */
-    addPreconnect(url) {
-      const link = document.createElement('link');
-      link.rel = 'preconnect';
-      link.href = url;
-      link.crossOrigin = 'anonymous';
-      document.head.appendChild(link);
+    emit(event, payload) {
+      this.events.emit(event, payload);
     }
 
     /**
-     * Add prefetch link
-     * @param {string} url - URL to prefetch
+     * Initialize a module after its dependencies. Failures are logged and only
+     * affect the module itself and the modules depending on it.
+     * @param {string} name - Module name
+     * @param {string[]} [path] - Dependency chain, for cycle detection
+     * @returns {Promise<boolean>} Whether the module initialized
      */
-    addPrefetch(url) {
-      const link = document.createElement('link');
-      link.rel = 'prefetch';
-      link.href = url;
-      document.head.appendChild(link);
+    initModule(name, path = []) {
+      if (this.ready.has(name)) {
+        return this.ready.get(name);
+      }
+
+      const entry = this.modules.get(name);
+
+      if (!entry) {
+        logError('Module registry', new Error(`Unknown dependency "${name}" required by "${path[path.length - 1]}"`));
+        return Promise.resolve(false);
+      }
+
+      if (path.includes(name)) {
+        logError('Module registry', new Error(`Circular dependency: ${[...path, name].join(' -> ')}`));
+        return Promise.resolve(false);
+      }
+
+      const dependencies = entry.dependencies.map(dependency => this.initModule(dependency, [...path, name]));
+
+      const ready = Promise.all(dependencies).then(async results => {
+        if (results.includes(false)) {
+          logger('App').warn(`Skipping "${name}": a dependency failed to initialize`);
+          return false;
+        }
+
+        try {
+          await entry.module.init(this);
+          this.initOrder.push(name);
+          return true;
+        } catch (error) {
+          logError(`Module "${name}" initialization`, error);
+          return false;
+        }
+      });
+
+      this.ready.set(name, ready);
+      return ready;
     }
 
     /**
-     * Get performance metrics
-     * @returns {Object} Performance metrics
+     * Recent log entries from every module, including ones below the console
+     * level. Useful to attach to bug reports: copy(ShoeStoreApp.logs())
+     * @returns {Array<{time: string, level: string, namespace: string, message: string}>}
      */
-    getMetrics() {
-      return { ...this.metrics };
+    logs() {
+      return logBuffer.map(entry => ({ ...entry }));
     }
-  }
-
-  // ============================================================================
-  // APPLICATION INITIALIZATION
-  // ============================================================================
 
-  class App {
-    constructor() {
-      this.lazyLoader = new LazyLoader();
-      this.smoothScroll = new SmoothScroll();
-      this.mobileMenu = new MobileMenu();
-      this.formValidator = new FormValidator();
-      this.performanceOptimizer = new PerformanceOptimizer();
-      this.initialized = false;
+    /**
+     * Resolve once a module has initialized
+     * @param {string} name - Module name
+     * @returns {Promise<boolean>} Whether the module initialized
+     */
+    whenReady(name) {
+      return this.ready.get(name) || Promise.resolve(false);
     }
 
     /**
      * Initialize application
+     * @returns {Promise<void>} Resolves once every module has initialized
      */
     init() {
       if (this.initialized) {
-        console.warn('[App] Already initialized');
-        return;
+        logger('App').warn('Already initialized');
+        return Promise.resolve();
       }
 
       const startTime = performance.now();
 
-      try {
-        console.log('[App] Initializing ShoeStore interactive features...');
-
-        // Initialize all modules
-        this.lazyLoader.init();
-        this.smoothScroll.init();
-        this.mobileMenu.init();
-        this.formValidator.init();
-        this.performanceOptimizer.init();
-
-        this.initialized = true;
-
-        logPerformance('App initialization', startTime);
-        console.log('[App] All features initialized successfully');
-
-        // Log final metrics after page load
-        window.addEventListener('load', () => {
-          setTimeout(() => {
-            const metrics = this.performanceOptimizer.getMetrics();
-            console.log('[App] Final performance metrics:', metrics);
-          }, 0);
+      logger('App').info('Initializing ShoeStore interactive features...');
+      this.initialized = true;
+
+      const done = Promise.all(Array.from(this.modules.keys()).map(name => this.initModule(name)))
+        .then(() => {
+          logPerformance('App initialization', startTime);
+          logger('App').info(`${this.initOrder.length} of ${this.modules.size} modules initialized`);
         });
 
-      } catch (error) {
-        logError('App initialization', error);
-      }
+      // A waiting service worker holds the new release; reloading activates it
+      const unsubscribeUpdate = this.events.on('update:available', () => {
+        this.updatePrompt.show(() => this.serviceWorker.applyUpdate());
+      });
+
+      // Log final metrics after page load
+      const unsubscribeMetrics = this.events.on('performance:load', metrics => {
+        unsubscribeMetrics();
+        logger('App').debug('Final performance metrics:', metrics);
+      });
+
+      // Kept so destroy() leaves no handlers behind for the next init()
+      this.unsubscribers = [unsubscribeUpdate, unsubscribeMetrics];
+
+      return done;
     }
 
     /**
-     * Cleanup and destroy all modules
+     * Cleanup and destroy all modules, most recently initialized first
      */
     destroy() {
-      try {
-        this.lazyLoader.destroy();
-        this.smoothScroll.destroy();
-        this.mobileMenu.destroy();
-        this.formValidator.destroy();
+      [...this.initOrder].reverse().forEach(name => {
+        const { module } = this.modules.get(name);
 
-        this.initialized = false;
-        console.log('[App] Cleanup completed');
-      } catch (error) {
-        logError('App cleanup', error);
-      }
+        try {
+          if (typeof module.destroy === 'function') {
+            module.destroy();
+          }
+        } catch (error) {
+          logError(`Module "${name}" cleanup`, error);
+        }
+      });
+
+      this.unsubscribers.forEach(unsubscribe => unsubscribe());
+      this.unsubscribers = [];
+
+      this.initOrder = [];
+      this.ready.clear();
+      this.initialized = false;
+      logger('App').info('Cleanup completed');
     }
   }
 
@@ -1045,22 +9051,25 @@
   // AUTO-INITIALIZATION
   // ============================================================================
 
+  // Catch errors thrown before the app finishes initializing
+  errorReporter.init();
+
   // Initialize when DOM is ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
       const app = new App();
-      app.init();
       
-      // Expose app instance for debugging
+      // Public API: register(), get(), on(), off(), emit()
       window.ShoeStoreApp = app;
+      app.init();
     });
   } else {
     // DOM already loaded
     const app = new App();
-    app.init();
     
-    // Expose app instance for debugging
+    // Public API: register(), get(), on(), off(), emit()
     window.ShoeStoreApp = app;
+    app.init();
   }
 
 })();
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * ShoeStore Service Worker Build
+ *
+ * Runs after the copy, minify and image steps and rewrites dist/sw.js so that:
+ * - PRECACHE_URLS lists the responsive variants from dist/assets/data/images.json
+ *   in place of the original images the built page no longer requests
+ * - VERSION is a hash of every precached file, so any release that changes
+ *   the page, styles, script, images or data installs a new worker
+ *
+ * Usage: npm run build:sw  (runs as part of npm run build)
+ */
+
+import { createHash } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const DIST = join(ROOT, 'dist');
+const SW_PATH = join(DIST, 'sw.js');
+const MANIFEST_PATH = join(DIST, 'assets/data/images.json');
+
+const VERSION_PATTERN = /^const VERSION = '[^']*';$/m;
+const PRECACHE_PATTERN = /^const PRECACHE_URLS = \[\n([\s\S]*?)\n\];$/m;
+
+/**
+ * Read the image manifest written by build:optimize:images
+ * @returns {Promise<Object>} Manifest keyed by original image path, empty when missing
+ */
+async function readImageManifest() {
+  try {
+    return JSON.parse(await readFile(MANIFEST_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    console.warn('[sw] No images.json; precaching the original images');
+    return {};
+  }
+}
+
+/**
+ * Every variant URL of a manifest entry, across formats and widths
+ * @param {Object} entry - Image manifest entry
+ * @returns {string[]} Variant paths
+ */
+function listVariants(entry) {
+  return Object.values(entry.sources)
+    .flatMap(srcset => srcset.split(', ').map(candidate => candidate.split(' ')[0]));
+}
+
+/**
+ * Swap precached images for their responsive variants
+ * @param {string[]} lines - Source lines of the PRECACHE_URLS array
+ * @param {Object} manifest - Image manifest
+ * @returns {string[]} Rewritten lines
+ */
+function expandImages(lines, manifest) {
+  const listed = new Set();
+
+  return lines.flatMap(line => {
+    const url = line.match(/'([^']+)'/);
+    const entry = url && manifest[url[1]];
+
+    if (!entry) return [line];
+
+    // hero-bg.jpg and hero-bg.webp map to the same variants, and
+    // cache.addAll() rejects duplicate requests
+    const indent = line.match(/^\s*/)[0];
+    return listVariants(entry)
+      .filter(variant => !listed.has(variant) && listed.add(variant))
+      .map(variant => `${indent}'${variant}',`);
+  });
+}
+
+/**
+ * Hash the contents of every precached file
+ * @param {string[]} lines - Source lines of the PRECACHE_URLS array
+ * @returns {Promise<string>} Short hex digest
+ */
+async function hashPrecache(lines) {
+  const hash = createHash('sha256');
+  const paths = lines
+    .map(line => line.match(/'([^']+)'/))
+    .filter(Boolean)
+    .map(match => match[1])
+    // './' is index.html; OFFLINE_URL is listed by name rather than as a string
+    .concat('offline.html')
+    .filter(path => path !== './');
+
+  for (const path of Array.from(new Set(paths)).sort()) {
+    hash.update(path);
+    hash.update(await readFile(join(DIST, path)));
+  }
+
+  return hash.digest('hex').slice(0, 12);
+}
+
+async function main() {
+  const source = await readFile(SW_PATH, 'utf8');
+  const precache = source.match(PRECACHE_PATTERN);
+
+  if (!precache || !VERSION_PATTERN.test(source)) {
+    throw new Error('VERSION or PRECACHE_URLS not found in sw.js');
+  }
+
+  const lines = expandImages(precache[1].split('\n'), await readImageManifest());
+  // The last entry has no trailing comma in the source
+  lines[lines.length - 1] = lines[lines.length - 1].replace(/,$/, '');
+
+  const version = await hashPrecache(lines);
+
+  const output = source
+    .replace(PRECACHE_PATTERN, () => `const PRECACHE_URLS = [\n${lines.join('\n')}\n];`)
+    .replace(VERSION_PATTERN, () => `const VERSION = '${version}';`);
+
+  await writeFile(SW_PATH, output);
+
+  console.log(`[sw] Version ${version}, ${lines.length} precached URLs`);
+}
+
+main().catch(error => {
+  console.error('[sw] Build failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,319 @@
+/**
+ * ShoeStore Local Mock Server
+ *
+ * Serves the landing page and stands in for the form endpoints so the
+ * contact and newsletter flows can be exercised end to end without a backend.
+ *
+ * Usage: npm run mock-server  (PORT defaults to 3001)
+ *
+ * Endpoints:
+ * - POST /contact                  Accepts the contact form
+ * - POST /appointments             Books a fitting slot; 409 if the slot is taken
+ * - POST /newsletter               Starts a double opt-in, logs the confirm link
+ * - POST /newsletter/confirm       { token } -> { email, token, preferences }
+ * - POST /newsletter/preferences   { token, preferences }
+ * - POST /newsletter/unsubscribe   { token }
+ * - POST /reviews                  Accepts a review for moderation (not published)
+ * - POST /analytics                { events: [...] } batches, logged to the console
+ * - POST /vitals                   Web Vitals reports, logged to the console
+ * - POST /errors                   Client error batches, appended to ERRORS_FILE
+ *                                  (defaults to errors.local.json in the project root)
+ *
+ * Point the page at these with a config block, e.g.
+ *   <script type="application/json" id="shoestore-config">
+ *     { "ERROR_REPORTING": { "endpoint": "/errors" } }
+ *   </script>
+ */
+
+import { createServer } from 'node:http';
+import { readFile, writeFile } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import { extname, join, normalize, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const PORT = Number(process.env.PORT) || 3001;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const CONFIRM_TTL = 24 * 60 * 60 * 1000;
+const ERRORS_FILE = resolve(ROOT, process.env.ERRORS_FILE || 'errors.local.json');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.jpg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.png': 'image/png',
+  '.ics': 'text/calendar; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8'
+};
+
+// In-memory stores; restart the server to reset
+const pendingConfirmations = new Map();
+const subscribers = new Map();
+const appointments = new Map();
+
+/**
+ * Send a JSON response
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+async function readJson(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+
+  const raw = Buffer.concat(chunks).toString('utf8');
+  return raw ? JSON.parse(raw) : {};
+}
+
+/**
+ * Append client error reports to the JSON errors file
+ * @param {Object[]} reports - Error reports
+ * @returns {Promise<number>} Total stored reports
+ */
+async function appendErrors(reports) {
+  let stored = [];
+
+  try {
+    stored = JSON.parse(await readFile(ERRORS_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  stored.push(...reports.map(report => ({ ...report, receivedAt: new Date().toISOString() })));
+  await writeFile(ERRORS_FILE, JSON.stringify(stored, null, 2));
+  return stored.length;
+}
+
+// Writes are chained so concurrent batches do not overwrite each other
+let errorWrites = Promise.resolve();
+
+const routes = {
+  'POST /contact': async (req, res) => {
+    const body = await readJson(req);
+
+    if (!EMAIL_PATTERN.test(body.email || '')) {
+      return sendJson(res, 422, { errors: { email: 'Please enter a valid email address' } });
+    }
+
+    console.log('[mock] Contact message received:', body);
+    return sendJson(res, 200, { status: 'received' });
+  },
+
+  'POST /appointments': async (req, res) => {
+    const body = await readJson(req);
+    const start = new Date(body.start);
+    const errors = {};
+
+    if (!String(body.name || '').trim()) {
+      errors.name = 'Please enter your name';
+    }
+    if (!EMAIL_PATTERN.test(body.email || '')) {
+      errors.email = 'Please enter a valid email address';
+    }
+    if (Number.isNaN(start.getTime()) || start.getTime() < Date.now()) {
+      errors.time = 'Please pick an upcoming time';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return sendJson(res, 422, { errors });
+    }
+
+    // One fitting per slot
+    const slot = start.toISOString();
+    if (appointments.has(slot)) {
+      return sendJson(res, 409, { message: 'This time has already been booked' });
+    }
+
+    const id = randomUUID();
+    appointments.set(slot, { ...body, id });
+
+    console.log(`[mock] Fitting booked for ${body.email} at ${slot}`);
+    return sendJson(res, 201, { id, start: slot, status: 'booked' });
+  },
+
+  'POST /newsletter': async (req, res) => {
+    const { email = '' } = await readJson(req);
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return sendJson(res, 422, { errors: { email: 'Please enter a valid email address' } });
+    }
+
+    const token = randomUUID();
+    pendingConfirmations.set(token, { email, expiresAt: Date.now() + CONFIRM_TTL });
+
+    console.log(`[mock] Confirmation email for ${email}: http://localhost:${PORT}/?confirm=${token}`);
+    return sendJson(res, 202, { status: 'pending' });
+  },
+
+  'POST /newsletter/confirm': async (req, res) => {
+    const { token } = await readJson(req);
+    const pending = pendingConfirmations.get(token);
+
+    if (!pending || pending.expiresAt < Date.now()) {
+      return sendJson(res, 410, { message: 'Confirmation link is invalid or expired' });
+    }
+
+    pendingConfirmations.delete(token);
+
+    const manageToken = randomUUID();
+    const subscriber = {
+      email: pending.email,
+      token: manageToken,
+      preferences: { newArrivals: true, sales: true, men: true, women: true }
+    };
+    subscribers.set(manageToken, subscriber);
+
+    console.log(`[mock] ${pending.email} confirmed. Unsubscribe link: http://localhost:${PORT}/?unsubscribe=${manageToken}`);
+    return sendJson(res, 200, subscriber);
+  },
+
+  'POST /newsletter/preferences': async (req, res) => {
+    const { token, preferences } = await readJson(req);
+    const subscriber = subscribers.get(token);
+
+    if (!subscriber) {
+      return sendJson(res, 404, { message: 'Subscription not found' });
+    }
+
+    subscriber.preferences = { ...subscriber.preferences, ...preferences };
+    console.log(`[mock] Preferences for ${subscriber.email}:`, subscriber.preferences);
+    return sendJson(res, 200, subscriber);
+  },
+
+  'POST /newsletter/unsubscribe': async (req, res) => {
+    const { token } = await readJson(req);
+    const subscriber = subscribers.get(token);
+
+    if (!subscriber) {
+      return sendJson(res, 404, { message: 'Subscription not found' });
+    }
+
+    subscribers.delete(token);
+    console.log(`[mock] ${subscriber.email} unsubscribed`);
+    return sendJson(res, 200, { status: 'unsubscribed' });
+  },
+
+  'POST /reviews': async (req, res) => {
+    const body = await readJson(req);
+    const rating = Number(body.rating);
+    const errors = {};
+
+    if (!EMAIL_PATTERN.test(body.email || '')) {
+      errors.email = 'Please enter a valid email address';
+    }
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      errors.rating = 'Please choose a rating from 1 to 5 stars';
+    }
+    if (String(body.body || '').trim().length < 20) {
+      errors.body = 'Please write at least 20 characters';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return sendJson(res, 422, { errors });
+    }
+
+    console.log('[mock] Review awaiting moderation:', body);
+    return sendJson(res, 202, { status: 'pending' });
+  },
+
+  'POST /analytics': async (req, res) => {
+    const { events = [] } = await readJson(req);
+
+    events.forEach(event => console.log(`[mock] analytics ${event.name}`, event.props));
+    res.writeHead(204);
+    res.end();
+  },
+
+  'POST /vitals': async (req, res) => {
+    const { release, page, metrics = {} } = await readJson(req);
+
+    console.log(`[mock] vitals ${release} ${page}`, {
+      lcp: metrics.largestContentfulPaint,
+      cls: metrics.cumulativeLayoutShift,
+      inp: metrics.interactionToNextPaint,
+      ttfb: metrics.timeToFirstByte
+    });
+    res.writeHead(204);
+    res.end();
+  },
+
+  'POST /errors': async (req, res) => {
+    const { errors = [], dropped = 0 } = await readJson(req);
+
+    errorWrites = errorWrites.catch(() => {}).then(() => appendErrors(errors));
+    const total = await errorWrites;
+
+    errors.forEach(report => console.log(`[mock] error ${report.repeat ? '+' : 'x'}${report.count} [${report.module}] ${report.message}`));
+    if (dropped > 0) {
+      console.log(`[mock] ${dropped} error report(s) dropped by the client rate limit`);
+    }
+    console.log(`[mock] ${total} error report(s) stored in ${ERRORS_FILE}`);
+
+    res.writeHead(204);
+    res.end();
+  }
+};
+
+/**
+ * Serve a static file from the project root
+ * @param {string} pathname - URL path
+ * @param {import('node:http').ServerResponse} res - Response
+ */
+async function serveStatic(pathname, res) {
+  const relativePath = normalize(decodeURIComponent(pathname)).replace(/^([/\\])+/, '');
+  const filePath = join(ROOT, relativePath || 'index.html');
+
+  if (!filePath.startsWith(ROOT)) {
+    res.writeHead(403);
+    res.end('Forbidden');
+    return;
+  }
+
+  try {
+    const content = await readFile(filePath);
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[extname(filePath)] || 'application/octet-stream' });
+    res.end(content);
+  } catch (error) {
+    res.writeHead(404);
+    res.end('Not found');
+  }
+}
+
+const server = createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+  const handler = routes[`${req.method} ${pathname}`];
+
+  try {
+    if (handler) {
+      await handler(req, res);
+    } else {
+      await serveStatic(pathname, res);
+    }
+  } catch (error) {
+    console.error('[mock] Request failed:', error);
+    sendJson(res, error instanceof SyntaxError ? 400 : 500, { message: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[mock] ShoeStore mock server running at http://localhost:${PORT}`);
+});
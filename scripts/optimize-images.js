@@ -0,0 +1,232 @@
+/**
+ * ShoeStore Responsive Image Build
+ *
+ * Generates AVIF, WebP and JPEG variants at several widths for every raster
+ * image under assets/images, then:
+ * - rewrites the <picture> elements in dist/index.html with srcset/sizes
+ * - writes dist/assets/data/images.json, which the product catalog uses for
+ *   its cards, including a tiny blur-up placeholder per image
+ *
+ * Usage: npm run build:optimize:images  (runs as part of npm run build)
+ *
+ * Files that cannot be decoded are reported and left as the plain copies
+ * made by build:copy.
+ */
+
+import sharp from 'sharp';
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, extname, join, relative, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const SOURCE_DIR = join(ROOT, 'assets/images');
+const DIST = join(ROOT, 'dist');
+const MANIFEST_PATH = join(DIST, 'assets/data/images.json');
+
+const WIDTHS = [320, 640, 960, 1280, 1920];
+const PLACEHOLDER_WIDTH = 16;
+
+const FORMATS = {
+  avif: { extension: 'avif', options: { quality: 50 } },
+  webp: { extension: 'webp', options: { quality: 75 } },
+  jpeg: { extension: 'jpg', options: { quality: 78, mozjpeg: true } }
+};
+
+// First matching prefix wins; keep in sync with the layout in styles.css
+const SIZES = [
+  ['assets/images/products/', '(min-width: 1024px) 25vw, (min-width: 640px) 50vw, 100vw'],
+  ['assets/images/about-', '(min-width: 768px) 40vw, 100vw'],
+  ['', '100vw']
+];
+
+// When a name exists in several formats, the first listed is the source
+const SOURCE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+
+/**
+ * Recursively list files under a directory
+ * @param {string} dir - Directory
+ * @returns {Promise<string[]>} Absolute file paths
+ */
+async function listFiles(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const nested = await Promise.all(entries.map(entry => {
+    const path = join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(path) : [path];
+  }));
+  return nested.flat();
+}
+
+/**
+ * Pick one source file per image name
+ * @param {string[]} files - Candidate files
+ * @returns {string[]} Source files
+ */
+function pickSources(files) {
+  const byName = new Map();
+
+  files
+    .filter(file => SOURCE_EXTENSIONS.includes(extname(file).toLowerCase()))
+    .forEach(file => {
+      const name = file.slice(0, -extname(file).length);
+      const current = byName.get(name);
+      const rank = SOURCE_EXTENSIONS.indexOf(extname(file).toLowerCase());
+
+      if (!current || rank < SOURCE_EXTENSIONS.indexOf(extname(current).toLowerCase())) {
+        byName.set(name, file);
+      }
+    });
+
+  return Array.from(byName.values());
+}
+
+/**
+ * URL path of a file relative to the site root
+ * @param {string} file - Absolute path
+ * @param {string} base - Site root
+ * @returns {string} URL path
+ */
+function toUrlPath(file, base) {
+  return relative(base, file).split(sep).join('/');
+}
+
+/**
+ * Generate every variant and the placeholder for one image
+ * @param {string} file - Source image
+ * @returns {Promise<Object>} Manifest entry
+ */
+async function processImage(file) {
+  const input = await readFile(file);
+  const { width, height } = await sharp(input).metadata();
+
+  const urlPath = toUrlPath(file, ROOT);
+  const baseName = urlPath.slice(0, -extname(urlPath).length);
+  const widths = WIDTHS.filter(candidate => candidate < width).concat(width);
+
+  const sources = {};
+
+  for (const [format, { extension, options }] of Object.entries(FORMATS)) {
+    const entries = [];
+
+    for (const targetWidth of widths) {
+      const outputPath = `${baseName}-${targetWidth}.${extension}`;
+      const outputFile = join(DIST, outputPath);
+
+      await mkdir(dirname(outputFile), { recursive: true });
+      await sharp(input)
+        .resize({ width: targetWidth, withoutEnlargement: true })
+        [format](options)
+        .toFile(outputFile);
+
+      entries.push(`${outputPath} ${targetWidth}w`);
+    }
+
+    sources[format] = entries.join(', ');
+  }
+
+  const placeholder = await sharp(input)
+    .resize({ width: PLACEHOLDER_WIDTH })
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return {
+    width,
+    height,
+    src: `${baseName}-${width}.jpg`,
+    sizes: SIZES.find(([prefix]) => urlPath.startsWith(prefix))[1],
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+    sources
+  };
+}
+
+/**
+ * Escape a value for an HTML attribute
+ * @param {string} value - Attribute value
+ * @returns {string} Escaped value
+ */
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Replace <picture> contents for images that have variants
+ * @param {string} html - Page HTML
+ * @param {Object} manifest - Image manifest
+ * @returns {{html: string, count: number}} Rewritten HTML and number of pictures changed
+ */
+function rewritePictures(html, manifest) {
+  let count = 0;
+
+  const rewritten = html.replace(/^([ \t]*)<picture>([\s\S]*?)<\/picture>/gm, (match, indent, inner) => {
+    const img = inner.match(/^([ \t]*)<img\b([\s\S]*?)\s*>/m);
+    const src = img && img[2].match(/\ssrc="([^"]+)"/);
+    const entry = src && manifest[src[1]];
+
+    if (!entry) return match;
+
+    const [, imgIndent, imgAttributes] = img;
+    const attributeIndent = `${imgIndent}  `;
+    const isLazy = /\sloading="lazy"/.test(imgAttributes);
+
+    const sources = ['avif', 'webp'].map(format => (
+      `${imgIndent}<source type="image/${format}" srcset="${escapeAttribute(entry.sources[format])}" sizes="${entry.sizes}">`
+    ));
+
+    const attributes = [
+      `srcset="${escapeAttribute(entry.sources.jpeg)}"`,
+      `sizes="${entry.sizes}"`,
+      isLazy ? `data-placeholder="${entry.placeholder}"` : ''
+    ]
+      .filter(Boolean)
+      .map(attribute => `\n${attributeIndent}${attribute}`)
+      .join('');
+
+    const newImg = `${imgIndent}<img${imgAttributes.replace(/\ssrc="[^"]+"/, ` src="${entry.src}"`)}${attributes}\n${imgIndent}>`;
+
+    count++;
+    return [`${indent}<picture>`, ...sources, newImg, `${indent}</picture>`].join('\n');
+  });
+
+  return { html: rewritten, count };
+}
+
+async function main() {
+  const files = await listFiles(SOURCE_DIR);
+  const manifest = {};
+  let processed = 0;
+
+  for (const file of pickSources(files)) {
+    const urlPath = toUrlPath(file, ROOT);
+    const name = file.slice(0, -extname(file).length);
+
+    try {
+      const entry = await processImage(file);
+
+      // Pages and product data may reference any format of the same image
+      files
+        .filter(other => other.slice(0, -extname(other).length) === name)
+        .forEach(other => {
+          manifest[toUrlPath(other, ROOT)] = entry;
+        });
+
+      processed++;
+
+      console.log(`[images] ${urlPath}: ${entry.sources.jpeg.split(', ').length} widths`);
+    } catch (error) {
+      console.warn(`[images] Skipping ${urlPath}: ${error.message}`);
+    }
+  }
+
+  await mkdir(dirname(MANIFEST_PATH), { recursive: true });
+  await writeFile(MANIFEST_PATH, JSON.stringify(manifest, null, 2));
+
+  const indexPath = join(DIST, 'index.html');
+  const { html, count } = rewritePictures(await readFile(indexPath, 'utf8'), manifest);
+  await writeFile(indexPath, html);
+
+  console.log(`[images] ${processed} images processed, ${count} <picture> elements updated`);
+}
+
+main().catch(error => {
+  console.error('[images] Build failed:', error);
+  process.exitCode = 1;
+});
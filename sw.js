@@ -0,0 +1,163 @@
+/**
+ * ShoeStore Service Worker
+ *
+ * - Precaches the page, styles, script, logo, hero image and catalog data so
+ *   the site opens with no connection
+ * - Images: stale-while-revalidate, capped at MAX_IMAGES entries
+ * - Catalog, store-hours and reviews JSON: network first, cached copy when offline
+ * - Pages that were never cached: offline.html
+ *
+ * Caches are named after VERSION. The build (scripts/build-sw.js) stamps it
+ * with a hash of the precached files and swaps the hero image for its
+ * responsive variants, so every release installs a new worker. A new worker
+ * waits until the page asks it to take over from the "new version available"
+ * prompt, then removes the previous version's caches.
+ */
+
+const VERSION = '1.0.0';
+const CACHE_PREFIX = 'shoestore-';
+
+const CACHES = {
+  precache: `${CACHE_PREFIX}precache-${VERSION}`,
+  images: `${CACHE_PREFIX}images-${VERSION}`,
+  data: `${CACHE_PREFIX}data-${VERSION}`
+};
+
+const OFFLINE_URL = 'offline.html';
+const MAX_IMAGES = 60;
+
+// Relative to this file, which sits at the site root
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  OFFLINE_URL,
+  'manifest.webmanifest',
+  'assets/css/styles.css',
+  'assets/js/script.js',
+  'assets/images/logo.svg',
+  'assets/images/hero-bg.jpg',
+  'assets/images/hero-bg.webp',
+  'assets/data/products.json',
+  'assets/data/store-hours.json',
+  'assets/data/reviews.json'
+];
+
+const SCOPE_PATH = new URL('./', self.location).pathname;
+
+/**
+ * Drop the oldest entries once a cache grows past its limit
+ * @param {Cache} cache - Cache to trim
+ * @param {number} maxEntries - Entries to keep
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+/**
+ * Serve from cache right away and refresh the cached copy in the background
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(CACHES.images);
+  const cached = await caches.match(request);
+
+  const refresh = fetch(request).then(async response => {
+    if (response.ok) {
+      await cache.put(request, response.clone());
+      await trimCache(cache, MAX_IMAGES);
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+
+  return refresh.catch(() => Response.error());
+}
+
+/**
+ * Prefer fresh data, keeping a copy for offline use
+ * @param {Request} request - Request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(CACHES.data);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await caches.match(request)) || Response.error();
+  }
+}
+
+/**
+ * Load pages from the network; offline, the landing page comes from the
+ * precache whatever its query string (?lang=, ?confirm=) and anything else
+ * gets the offline page
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>}
+ */
+async function handleNavigation(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const { pathname } = new URL(request.url);
+    const isLandingPage = pathname === SCOPE_PATH || pathname === `${SCOPE_PATH}index.html`;
+    const cached = isLandingPage
+      ? await caches.match('index.html')
+      : await caches.match(request, { ignoreSearch: true });
+
+    return cached || caches.match(OFFLINE_URL);
+  }
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHES.precache).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener('activate', event => {
+  const current = Object.values(CACHES);
+
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && !current.includes(key))
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Sent by the page when the customer accepts the update prompt
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Form posts go to the network (the page queues them offline); leave other origins alone
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (url.pathname.startsWith(`${SCOPE_PATH}assets/images/`)) {
+    event.respondWith(staleWhileRevalidate(event));
+  } else if (url.pathname.startsWith(`${SCOPE_PATH}assets/data/`)) {
+    event.respondWith(networkFirst(request));
+  } else {
+    event.respondWith(caches.match(request).then(cached => cached || fetch(request)));
+  }
+});